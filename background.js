@@ -1,41 +1,57 @@
 // Background script for PageSpeed Insights Screenshot Extension
 // Handles the browser action click and coordinates screenshot capture
 
+// Shared settings (DEFAULT_CONFIG, loadConfig) live in settings.js,
+// saved schedules and their run log in schedules-store.js,
+// the IndexedDB capture history in history-db.js, filename helpers in filenames.js,
+// the URL form history records are keyed by in url-utils.js,
+// the PageSpeed Insights API client and gauge drawing in psi-api.js / gauge-renderer.js,
+// the ZIP builder for bundled runs in zip-writer.js,
+// and the client PDF report in pdf-writer.js / pdf-report.js
+importScripts(
+  "settings.js",
+  "selector-profiles.js",
+  "filenames.js",
+  "url-utils.js",
+  "schedules-store.js",
+  "history-db.js",
+  "psi-api.js",
+  "gauge-renderer.js",
+  "image-output.js",
+  "branding-store.js",
+  "branding-renderer.js",
+  "zip-writer.js",
+  "pdf-writer.js",
+  "pdf-report.js"
+);
+
 // ========== CONFIGURATION VARIABLES ==========
-// Timeout and timing configuration - adjust these values to fine-tune the extension
-const CONFIG = {
-  // Debug mode - set to true to enable verbose logging
-  DEBUG_MODE: true,
-
-  // Viewport settings
-  VIEWPORT_WIDTH: 1200,
-  VIEWPORT_HEIGHT: 800,
-  VIEWPORT_WAIT_MS: 500,
-
-  // Device switching timeouts
-  MOBILE_SWITCH_WAIT_MS: 500,
-  DESKTOP_SWITCH_WAIT_MS: 500,
-  DESKTOP_EXTRA_WAIT_MS: 1000,
-
-  // Element visibility timeouts
-  ELEMENT_VISIBILITY_TIMEOUT_MS: 10000,
-  VISIBILITY_CHECK_INTERVAL_MS: 150,
-
-  // Screenshot retry settings
-  SCREENSHOT_RETRY_WAIT_MS: 3000,
-  MIN_SCREENSHOT_SIZE_BYTES: 1000,
-
-  // UI feedback
-  NOTIFICATION_DURATION_MS: 4000,
-  BUTTON_STATE_CHECK_DELAY_MS: 100,
-
-  // Cropping settings
-  TIGHT_PADDING_PX: 5,
-  FALLBACK_PADDING_PX: 10,
-};
+// Active configuration - defaults until the stored settings are loaded.
+// Edit values on the options page; refreshConfig() re-reads them before each capture.
+let CONFIG = { ...DEFAULT_CONFIG };
+
+// Function to reload the configuration from chrome.storage.sync
+async function refreshConfig() {
+  try {
+    CONFIG = await loadConfig();
+  } catch (error) {
+    console.error("❌ Failed to load settings, using defaults:", error);
+    CONFIG = { ...DEFAULT_CONFIG };
+  }
+  return CONFIG;
+}
 
 console.log("🚀 PageSpeed Screenshot Extension background script loaded");
-console.log("⚙️ Configuration:", CONFIG);
+refreshConfig().then((config) => console.log("⚙️ Configuration:", config));
+
+// Keep the cached configuration in sync when the options page saves
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "sync" && changes[SETTINGS_STORAGE_KEY]) {
+    refreshConfig().then((config) =>
+      console.log("⚙️ Configuration updated:", config)
+    );
+  }
+});
 
 // Check if required APIs are available
 if (!chrome.scripting) {
@@ -52,8 +68,265 @@ if (!chrome.downloads) {
 
 console.log("🚀 PageSpeed Screenshot Extension background script loaded");
 
-chrome.action.onClicked.addListener(async (tab) => {
-  console.log("🔵 Extension icon clicked!", { url: tab.url, tabId: tab.id });
+// The action popup (popup.html) and batch page (batch.html) send their requests here
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === "startCapture") {
+    chrome.tabs
+      .get(request.tabId)
+      .then((tab) => handleCaptureRequest(tab, request.plan))
+      .catch((error) => console.error("❌ Could not start capture:", error));
+    sendResponse({ started: true });
+  } else if (request.action === "startBatch") {
+    if (batchRunning) {
+      sendResponse({ started: false, error: "A batch is already running" });
+      return;
+    }
+    runBatch(request.urls, request.plan).catch((error) =>
+      console.error("❌ Batch failed:", error)
+    );
+    sendResponse({ started: true });
+  } else if (request.action === "cancelBatch") {
+    if (batchRunning) {
+      batchAbortController.abort(new Error("Batch cancelled"));
+    }
+    sendResponse({ cancelling: batchRunning });
+  } else if (request.action === "runScheduleNow") {
+    runScheduledCapture(request.scheduleId, { manual: true }).catch((error) =>
+      console.error("❌ Scheduled capture failed:", error)
+    );
+    sendResponse({ started: true });
+  }
+});
+
+// Devices each keyboard shortcut captures (manifest "commands"); the rest of the
+// plan is the last one picked in the popup
+const COMMAND_DEVICES = {
+  "capture-both": ["mobile", "desktop"],
+  "capture-mobile": ["mobile"],
+  "capture-desktop": ["desktop"],
+};
+
+// Keyboard shortcuts - users rebind them at chrome://extensions/shortcuts
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleCommand(command, tab).catch((error) =>
+    console.error(`❌ Shortcut ${command} failed:`, error)
+  );
+});
+
+// Function to run the capture a keyboard shortcut stands for
+async function handleCommand(command, tab) {
+  console.log(`⌨️ Shortcut: ${command}`);
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  if (!tab) {
+    console.warn("⚠️ No active tab for the shortcut");
+    return;
+  }
+
+  if (command === "capture-visible") {
+    await captureVisibleTabAsShown(tab);
+    return;
+  }
+
+  const devices = COMMAND_DEVICES[command];
+  if (!devices) {
+    console.warn(`⚠️ Unknown shortcut command: ${command}`);
+    return;
+  }
+  const plan = await loadCapturePlan();
+  await handleCaptureRequest(tab, { ...plan, devices });
+}
+
+// Function to save the current tab exactly as it is visible - no device switching
+// or cropping - following the last plan's output mode
+async function captureVisibleTabAsShown(tab) {
+  await refreshConfig();
+  const plan = await loadCapturePlan();
+  const capturedAt = new Date();
+
+  // On a report, name the file after the tested page like the other captures
+  const testedUrl =
+    (tab.url && tab.url.includes("pagespeed.web.dev/")
+      ? getTestedUrlFromReportUrl(tab.url)
+      : null) || tab.url;
+  // e.g. an empty new tab has none - use a fallback name
+  const tested = parseTestedUrl(testedUrl);
+  const domain = tested ? tested.domain : "page";
+
+  const messages = [];
+  try {
+    const dataUrl = await captureVisibleTabWithRetry(tab.windowId, "visible tab");
+
+    if (plan.outputMode !== "clipboard") {
+      const output = createRunOutput();
+      output.pdfReport = false; // A plain screenshot has no scores to report
+      const filename = getCaptureFilename(
+        CONFIG,
+        { domain, url: testedUrl, capturedAt, type: "visible" },
+        getImageFormat(CONFIG).extension
+      );
+      await saveRunFile(output, { filename, dataUrl }, { url: testedUrl });
+      await finishRunOutput(output);
+      console.log(`✅ Visible tab saved: ${filename}`);
+      messages.push("📸 Visible tab captured.");
+    }
+
+    if (plan.outputMode !== "download") {
+      messages.push(
+        await copyCaptureToClipboard(
+          tab,
+          { deviceType: "visible", dataUrl },
+          [],
+          plan.outputMode !== "clipboard"
+        )
+      );
+    }
+  } catch (error) {
+    console.error("❌ Failed to capture the visible tab:", error);
+    messages.push(`Error capturing the visible tab: ${error.message}`);
+  }
+
+  try {
+    await safeExecuteScript(tab.id, showNotification, [
+      messages.join(" "),
+      CONFIG.NOTIFICATION_DURATION_MS,
+    ]);
+  } catch (error) {
+    // Browser pages (chrome://, the Web Store) cannot show the in-page notification
+    console.warn("⚠️ Could not show notification:", error);
+  }
+}
+
+// ========== CONTEXT MENUS ==========
+// Right-click entries: capture a report page, or run PageSpeed Insights for a page
+
+// Menu item id -> devices captured from the PageSpeed Insights page it is clicked on
+const CONTEXT_MENU_DEVICES = {
+  "menu-capture-mobile": ["mobile"],
+  "menu-capture-desktop": ["desktop"],
+  "menu-capture-both": ["mobile", "desktop"],
+};
+
+// Menu item that runs PageSpeed Insights for the page (or link) it is clicked on
+const RUN_PAGESPEED_MENU_ID = "menu-run-pagespeed";
+
+// Function to (re)create the context menu entries
+async function createContextMenus() {
+  await chrome.contextMenus.removeAll();
+
+  for (const [id, title] of [
+    ["menu-capture-mobile", "Capture mobile"],
+    ["menu-capture-desktop", "Capture desktop"],
+    ["menu-capture-both", "Capture both"],
+  ]) {
+    chrome.contextMenus.create({
+      id,
+      title,
+      contexts: ["page"],
+      documentUrlPatterns: ["https://pagespeed.web.dev/*"],
+    });
+  }
+
+  chrome.contextMenus.create({
+    id: RUN_PAGESPEED_MENU_ID,
+    title: "Run PageSpeed and capture this URL",
+    contexts: ["page", "link"],
+    documentUrlPatterns: ["http://*/*", "https://*/*"],
+    targetUrlPatterns: ["http://*/*", "https://*/*"],
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === RUN_PAGESPEED_MENU_ID) {
+    // The page mode opens the analysis in a new tab, which the click's activeTab grant
+    // does not cover - ask for access to capture it while the click still counts as a
+    // gesture (so from the cached settings). The API mode captures no tab.
+    const granted =
+      CONFIG.CAPTURE_SOURCE === "api"
+        ? null
+        : chrome.permissions.request({ origins: ["<all_urls>"] }).catch(() => false);
+    runPageSpeedFromMenu(info.linkUrl || info.pageUrl, tab, granted).catch((error) =>
+      console.error("❌ Run PageSpeed from the menu failed:", error)
+    );
+    return;
+  }
+
+  const devices = CONTEXT_MENU_DEVICES[info.menuItemId];
+  if (devices && tab) {
+    loadCapturePlan()
+      .then((plan) => handleCaptureRequest(tab, { ...plan, devices }))
+      .catch((error) => console.error("❌ Could not start capture:", error));
+  }
+});
+
+// Function to open the PageSpeed Insights analysis of a URL next to the tab it was
+// requested from and capture the report once its scores are in
+// granted: the pending permission request for capturing the new tab, or null when
+// none was made (API mode)
+async function runPageSpeedFromMenu(url, fromTab, granted) {
+  await refreshConfig();
+  const plan = await loadCapturePlan();
+  console.log(`🖱️ Run PageSpeed requested from the menu for ${url}`);
+
+  // The API mode needs no report tab - notifications go to the page clicked on
+  if (CONFIG.CAPTURE_SOURCE === "api") {
+    await handleApiCaptureRequest(fromTab, url, plan);
+    return;
+  }
+
+  if (!granted || !(await granted)) {
+    console.warn("⚠️ Capturing the analysis tab needs access to all sites");
+    await safeExecuteScript(fromTab.id, showNotification, [
+      "Error: allow access to all sites to capture the PageSpeed Insights tab.",
+      CONFIG.NOTIFICATION_DURATION_MS,
+    ]).catch((error) => console.warn("Could not show notification:", error));
+    return;
+  }
+
+  const tab = await chrome.tabs.create({
+    url: buildAnalysisUrl(url),
+    index: fromTab ? fromTab.index + 1 : undefined,
+    openerTabId: fromTab ? fromTab.id : undefined,
+    active: true,
+  });
+
+  try {
+    await waitForReportReady(tab.id, plan.devices);
+  } catch (error) {
+    console.error(`❌ PageSpeed Insights did not finish for ${url}:`, error);
+    await safeExecuteScript(tab.id, showNotification, [
+      `Error running PageSpeed Insights: ${error.message}`,
+      CONFIG.NOTIFICATION_DURATION_MS,
+    ]).catch((notifyError) => console.warn("Could not show notification:", notifyError));
+    return;
+  }
+
+  try {
+    await captureBothScreenshots(await chrome.tabs.get(tab.id), plan, { testedUrl: url });
+  } catch (error) {
+    console.error(`❌ Error capturing the analysis of ${url}:`, error);
+    await safeExecuteScript(tab.id, showNotification, [
+      `Error capturing screenshot: ${error.message}. Check browser console for details.`,
+      CONFIG.NOTIFICATION_DURATION_MS,
+    ]).catch((notifyError) => console.warn("Could not show notification:", notifyError));
+  }
+}
+
+// Function to validate the tab and run the capture plan on it
+async function handleCaptureRequest(tab, plan) {
+  console.log("🔵 Capture requested!", { url: tab.url, tabId: tab.id, plan });
+
+  await refreshConfig();
+
+  // The API mode tests the page itself (or the page a report was run for)
+  if (CONFIG.CAPTURE_SOURCE === "api") {
+    const testedUrl = tab.url && tab.url.includes("pagespeed.web.dev/")
+      ? getTestedUrlFromReportUrl(tab.url)
+      : tab.url;
+    await handleApiCaptureRequest(tab, testedUrl, plan);
+    return;
+  }
 
   // Check if scripting API is available
   if (!chrome.scripting) {
@@ -85,8 +358,8 @@ chrome.action.onClicked.addListener(async (tab) => {
   console.log("✅ URL check passed, proceeding with screenshot capture...");
 
   try {
-    // Capture both mobile and desktop screenshots
-    await captureBothScreenshots(tab);
+    // Capture the screenshots selected in the plan
+    await captureBothScreenshots(tab, plan);
   } catch (error) {
     console.error("❌ Error capturing screenshot:", error);
     console.error("📍 Error stack:", error.stack);
@@ -100,7 +373,106 @@ chrome.action.onClicked.addListener(async (tab) => {
       console.error("Could not show error notification:", notificationError);
     }
   }
-});
+}
+
+// Helper function to read the tested URL from a PageSpeed Insights report URL
+function getTestedUrlFromReportUrl(reportUrl) {
+  try {
+    return new URL(reportUrl).searchParams.get("url");
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper function to work out the page a report tested (see parseTestedUrl), trying the
+// URL the caller knows or the report's url= parameter, then the URL the report shows,
+// then the URL Lighthouse ended up on after redirects
+// reportUrls: { displayedUrl, finalUrl } from extractReportUrls
+// Returns { tested (parsed, or null), finalUrl (string, or null) }
+function resolveTestedUrl(knownUrl, reportUrls = {}) {
+  const final = parseTestedUrl(reportUrls.finalUrl);
+  const tested =
+    parseTestedUrl(knownUrl) || parseTestedUrl(reportUrls.displayedUrl) || final;
+  return { tested, finalUrl: final ? final.url : tested ? tested.url : null };
+}
+
+// Helper function to describe a capture run in one line for the notifications
+function summarizeCaptureResults(results, deviceCount) {
+  const successCount = results.filter((r) => !r.error).length;
+
+  if (successCount === 2) {
+    return `📱💻 Both desktop and mobile screenshots captured!`;
+  }
+  if (successCount === 1) {
+    const successful = results.find((r) => !r.error);
+    const failedCount = deviceCount - successCount;
+    return `📸 ${
+      successful.deviceType.charAt(0).toUpperCase() +
+      successful.deviceType.slice(1)
+    } screenshot captured.${failedCount > 0 ? ` ${failedCount} failed.` : ""}`;
+  }
+  return `❌ No screenshots captured. Check console for details.`;
+}
+
+// Helper function to download text content (JSON, CSV) as a file
+function downloadTextFile(text, filename, mimeType = "text/plain") {
+  // Service workers have no URL.createObjectURL, so use a data URL
+  const url = `data:${mimeType};charset=utf-8,${encodeURIComponent(text)}`;
+
+  // Long texts (e.g. Lighthouse results) go past the data URL limit
+  if (url.length > MAX_DATA_URL_LENGTH) {
+    return downloadBytes(new TextEncoder().encode(text), filename, mimeType);
+  }
+
+  return chrome.downloads.download({
+    url: url,
+    filename: filename,
+    saveAs: false,
+  });
+}
+
+// Helper function to capture the visible tab, retrying once if the result looks blank
+async function captureVisibleTabWithRetry(windowId, label, config = CONFIG) {
+  let dataUrl;
+  try {
+    dataUrl = await chrome.tabs.captureVisibleTab(windowId, {
+      format: "png",
+      quality: 100,
+    });
+
+    // Check if screenshot is valid (not blank)
+    if (!dataUrl || dataUrl.length < config.MIN_SCREENSHOT_SIZE_BYTES) {
+      throw new Error(
+        `Screenshot appears to be blank (${dataUrl ? dataUrl.length : 0} bytes)`
+      );
+    }
+
+    console.log(`📸 ${label} screenshot captured: ${dataUrl.length} bytes`);
+  } catch (captureError) {
+    console.error(`❌ Failed to capture ${label} screenshot:`, captureError);
+
+    // Try one more time after a longer wait
+    console.log(`🔄 Retrying ${label} screenshot after additional wait...`);
+    await new Promise((resolve) =>
+      setTimeout(resolve, config.SCREENSHOT_RETRY_WAIT_MS)
+    );
+
+    dataUrl = await chrome.tabs.captureVisibleTab(windowId, {
+      format: "png",
+      quality: 100,
+    });
+
+    if (!dataUrl || dataUrl.length < config.MIN_SCREENSHOT_SIZE_BYTES) {
+      throw new Error(`Screenshot retry also failed for ${label}`);
+    }
+
+    console.log(
+      `📸 ${label} screenshot retry successful: ${dataUrl.length} bytes`
+    );
+  }
+
+  return dataUrl;
+}
 
 // Helper function for safer script execution
 async function safeExecuteScript(tabId, func, args = []) {
@@ -130,129 +502,171 @@ async function safeExecuteScript(tabId, func, args = []) {
   }
 }
 
-// Function to extract the tested domain from the page
-function extractTestedDomain() {
-  console.log("🔍 Extracting tested domain from page...");
-
-  // Try to find the domain in various places where PageSpeed Insights displays it
-  const selectors = [
-    // The specific class you mentioned
-    ".Toa1ad",
-    // Other potential PageSpeed Insights selectors
-    '[data-testid="url-display"]',
-    ".lh-text__url",
-    ".lh-header-url",
-    ".url-display",
-    ".lh-audit-group__header .lh-text",
-    // Look for elements with specific content patterns
-    '*[title*="http"]',
-    'a[href*="http"]',
-    // Look in headers and titles
-    "h1, h2, h3, h4",
-    ".lh-header__url",
-    // Any element that might contain the URL
-    '*[class*="url"]',
-    '*[id*="url"]',
-  ];
+// ========== REPORT WATCHER ==========
+// content.js follows each device report with a MutationObserver (states absent,
+// loading, rendered, settled, error); captures ask it over messages instead of
+// sleeping a fixed time
 
-  for (const selector of selectors) {
-    const elements = document.querySelectorAll(selector);
-    for (const element of elements) {
-      let text =
-        element.textContent ||
-        element.href ||
-        element.getAttribute("title") ||
-        element.getAttribute("data-url") ||
-        "";
+// Function to send a message to the report watcher of a tab, injecting content.js
+// first into reports that were open before the extension loaded
+async function sendReportWatcherMessage(tabId, message) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, message);
+  } catch (error) {
+    if (!/Receiving end does not exist|Could not establish connection/i.test(error.message)) {
+      throw error;
+    }
+  }
 
-      if (!text || text.length < 4) continue; // Skip very short text
+  console.log("🧩 Starting the report watcher in the tab...");
+  await chrome.scripting.executeScript({
+    target: { tabId: tabId },
+    files: ["selector-profiles.js", "content.js"],
+  });
+  return chrome.tabs.sendMessage(tabId, message);
+}
 
-      console.log(
-        `Checking element (${selector}): "${text.substring(0, 100)}..."`
-      );
+// Function to get the selector profile (see selector-profiles.js) matching the report
+async function getReportSelectorProfile(tabId, config = CONFIG) {
+  const state = await sendReportWatcherMessage(tabId, {
+    action: "getReportState",
+    quietMs: config.REPORT_SETTLE_QUIET_MS,
+  });
+  const profile = getSelectorProfile(state.profileId);
+  console.log(
+    `🧭 Selector profile: ${profile.id}${
+      state.profileDetected ? "" : " (assumed - no profile matched the page)"
+    }`
+  );
+  return profile;
+}
 
-      // Extract domain from URL
-      try {
-        if (text.includes("http")) {
-          const urlMatch = text.match(/https?:\/\/([^\/\s?#]+)/);
-          if (urlMatch) {
-            const domain = urlMatch[1].replace(/^www\./, "");
-            if (domain.includes(".") && domain.length > 3) {
-              console.log(`✅ Extracted domain from URL: ${domain}`);
-              return domain;
-            }
-          }
-        } else if (text.match(/^[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/)) {
-          // Might be a clean domain without protocol
-          const domain = text.replace(/^www\./, "");
-          console.log(`✅ Extracted domain (clean): ${domain}`);
-          return domain;
-        }
-      } catch (error) {
-        console.log(`❌ Failed to parse text: ${text.substring(0, 50)}`);
-      }
-    }
+// Function to run the selector self-check on a device report
+// Returns { profileId, profileDetected, checks, failures }
+async function checkReportSelectors(tabId, deviceType) {
+  const report = await sendReportWatcherMessage(tabId, {
+    action: "checkSelectors",
+    deviceType,
+  });
+  if (report.failures.length > 0) {
+    console.warn(`⚠️ ${describeSelectorFailures(report.profileId, report.failures)}`);
+  } else {
+    console.log(`✅ Selector check passed for ${deviceType} (profile ${report.profileId})`);
   }
+  return report;
+}
 
-  // Fallback: try to extract from page title
-  const title = document.title;
-  console.log("Checking page title:", title);
-
-  // Look for domain patterns in the title
-  const titleMatch = title.match(/([a-zA-Z0-9-]+\.[a-zA-Z]{2,})/);
-  if (titleMatch) {
-    const domain = titleMatch[1].replace(/^www\./, "");
-    console.log(`✅ Extracted domain from title: ${domain}`);
-    return domain;
-  }
-
-  // Last resort: look for any text that looks like a domain
-  const bodyText = document.body.textContent || "";
-  const domainPattern = /\b([a-zA-Z0-9-]+\.){1,}[a-zA-Z]{2,}\b/g;
-  const matches = bodyText.match(domainPattern);
-  if (matches) {
-    // Filter out common false positives
-    const filtered = matches.filter(
-      (match) =>
-        !match.includes("pagespeed.web.dev") &&
-        !match.includes("google.com") &&
-        !match.includes("web.dev") &&
-        match.length > 4 &&
-        !match.startsWith("www.") // We'll clean www later if needed
-    );
+// Function to wait until a device panel is shown and its gauges have settled
+// Returns the watcher's reply: { reached, error, activeDevice, devices }
+async function waitForDeviceSettled(tabId, deviceType, config = CONFIG) {
+  const startTime = Date.now();
+  const reply = await sendReportWatcherMessage(tabId, {
+    action: "waitForReportState",
+    deviceType,
+    timeoutMs: config.REPORT_SETTLE_TIMEOUT_MS,
+    quietMs: config.REPORT_SETTLE_QUIET_MS,
+  });
+
+  console.log(
+    `${reply.reached ? "✅" : "⏰"} ${deviceType} report ${
+      reply.reached ? "settled" : "did not settle"
+    } after ${Date.now() - startTime}ms`,
+    reply.devices[deviceType]
+  );
+  return reply;
+}
 
-    if (filtered.length > 0) {
-      const domain = filtered[0].replace(/^www\./, "");
-      console.log(`✅ Extracted domain from body text: ${domain}`);
-      return domain;
+// Function to be injected into the page to read the URLs a report shows: the tested
+// URL at the top of the report and the URL the device's Lighthouse run ended up on
+// after redirects. Only the profile's selectors are read - each is a URL or null.
+// selectors: the selector profile's selectors (see selector-profiles.js)
+function extractReportUrls(deviceType, selectors) {
+  // Absolute http(s) URL in an element's attributes or text, if any
+  const readUrl = (element) => {
+    for (const text of [
+      element.getAttribute("href"),
+      element.getAttribute("title"),
+      element.getAttribute("data-url"),
+      element.textContent,
+    ]) {
+      const match = (text || "").match(/https?:\/\/[^\s"'<>]+/i);
+      if (match) return match[0];
     }
-  }
 
-  console.log("❌ Could not extract domain from page");
-  return null;
+    // A host shown without https:// ("example.com/pricing")
+    const text = element.textContent.trim();
+    return /^[^\s/]+\.[a-z]{2,}(\/\S*)?$/i.test(text) ? text : null;
+  };
+
+  const findUrl = (root, candidates) => {
+    for (const selector of candidates) {
+      for (const element of root.querySelectorAll(selector)) {
+        const url = readUrl(element);
+        if (url) {
+          console.log(`✅ Found URL (${selector}): ${url}`);
+          return url;
+        }
+      }
+    }
+    return null;
+  };
+
+  const panel = document.querySelector(
+    selectors.devicePanel.replace(/\{device\}/g, deviceType)
+  );
+  return {
+    displayedUrl: findUrl(document, selectors.testedUrl),
+    finalUrl: panel ? findUrl(panel, selectors.finalUrl) : null,
+  };
 }
 
 // Function to be injected into the page to find the performance score element
-function getPerformanceScoreElement(tightPadding = 5, fallbackPadding = 10) {
+// categories: optional list of category ids (e.g. "performance", "seo") whose gauges to include
+// squareTiles: pad each per-category rect (gaugeRects) to a square
+// selectors: the selector profile's selectors (see selector-profiles.js)
+function getPerformanceScoreElement(
+  tightPadding = 5,
+  fallbackPadding = 10,
+  categories = null,
+  squareTiles = false,
+  selectors
+) {
+  const fillDevice = (selector, deviceType) =>
+    selector.replace(/\{device\}/g, deviceType);
+
+  // Work out which Lighthouse category a gauge element belongs to
+  const getGaugeCategory = (gauge) => {
+    const wrapper = gauge.closest(`a[href^="#"], ${selectors.gaugeWrapper}`);
+    if (!wrapper) return null;
+
+    const href = wrapper.getAttribute("href");
+    if (href && href.length > 1) {
+      return href.slice(1).toLowerCase();
+    }
+
+    const label = wrapper.querySelector(selectors.gaugeLabel);
+    return label
+      ? label.textContent.trim().toLowerCase().replace(/\s+/g, "-")
+      : null;
+  };
+
   // Wait for the results to be loaded
   const checkForElement = () => {
     console.log("🔍 Searching for performance score elements...");
 
     // Look for active tab panels first
-    const activeTabPanels = document.querySelectorAll(
-      '[role="tabpanel"][data-tab-panel-active="true"]'
-    );
+    const activeTabPanels = document.querySelectorAll(selectors.activePanel);
     console.log("Active tab panels found:", activeTabPanels.length);
 
     // Log which tab is currently active
     const activeDesktopTab = document.querySelector(
-      '[aria-labelledby*="desktop"], [id*="desktop"][aria-selected="true"], button[aria-selected="true"][aria-label*="Desktop"]'
+      fillDevice(selectors.deviceTab, "desktop")
     );
     const activeMobileTab = document.querySelector(
-      '[aria-labelledby*="mobile"], [id*="mobile"][aria-selected="true"], button[aria-selected="true"][aria-label*="Mobile"]'
+      fillDevice(selectors.deviceTab, "mobile")
     );
 
-    console.log("Active tabs detected:", {
+    console.log("Device tabs detected:", {
       desktop: !!activeDesktopTab,
       mobile: !!activeMobileTab,
       desktopTabInfo: activeDesktopTab
@@ -272,15 +686,10 @@ function getPerformanceScoreElement(tightPadding = 5, fallbackPadding = 10) {
     });
 
     // Look for scores within active tab panels - target the full scores header
+    const scoresSelector = `${selectors.scoresHeader}, ${selectors.scoresContainer}`;
     let scoresElement = null;
     for (const panel of activeTabPanels) {
-      const scores = panel.querySelector(
-        ".lh-scores-header, " +
-          'div[class*="lh-scores-header"], ' +
-          ".lh-scores-container, " +
-          'div[class*="lh-scores-container"], ' +
-          'div[data-testid="scores-container"]'
-      );
+      const scores = panel.querySelector(scoresSelector);
 
       if (scores) {
         scoresElement = scores;
@@ -299,41 +708,23 @@ function getPerformanceScoreElement(tightPadding = 5, fallbackPadding = 10) {
         "⚠️ No scores in active panels, trying fallback selectors..."
       );
 
-      const mobileScores = document.querySelector(
-        ".lh-scores-header, " +
-          'div[class*="lh-scores-header"], ' +
-          ".lh-scores-container, " +
-          'div[class*="lh-scores-container"], ' +
-          'div[data-testid="scores-container"]'
-      );
-
-      const desktopScores = document.querySelector(
-        '.lh-scores-header:not([style*="display: none"]), ' +
-          'div[class*="lh-scores-header"]:not([style*="display: none"]), ' +
-          '.lh-scores-container:not([style*="display: none"]), ' +
-          'div[class*="lh-scores-container"]:not([style*="display: none"]), ' +
-          'div[data-testid="scores-container"]:not([style*="display: none"])'
-      );
+      // Prefer the scores that are actually shown
+      const allScores = Array.from(document.querySelectorAll(scoresSelector));
+      const shownScores = allScores.find((element) => {
+        const rect = element.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0;
+      });
 
-      scoresElement = desktopScores || mobileScores;
+      scoresElement = shownScores || allScores[0] || null;
       console.log("Fallback search results:", {
-        mobileScores: !!mobileScores,
-        desktopScores: !!desktopScores,
+        found: allScores.length,
+        shown: !!shownScores,
         selected: scoresElement ? scoresElement.className : "none",
       });
     }
 
     // Try to find all gauge elements - these represent all the scores (Performance, Accessibility, Best Practices, SEO, PWA)
-    const gauges = document.querySelectorAll(
-      ".lh-scores-header .lh-gauge, " +
-        '.lh-scores-header div[class*="lh-gauge"], ' +
-        'div[class*="lh-gauge"], ' +
-        ".lh-gauge, " +
-        'div[data-testid*="gauge"], ' +
-        'div[class*="gauge"], ' +
-        'svg[class*="gauge"], ' +
-        'circle[class*="gauge"]'
-    );
+    const gauges = document.querySelectorAll(selectors.gauge);
 
     console.log("Gauge elements found:", gauges.length);
 
@@ -341,34 +732,47 @@ function getPerformanceScoreElement(tightPadding = 5, fallbackPadding = 10) {
       // Use the scores header directly - it should contain all the gauges
       let gaugeContainer = scoresElement;
 
-      // If we found the lh-scores-header specifically, use it directly
-      if (
-        scoresElement.classList.contains("lh-scores-header") ||
-        scoresElement.className.includes("lh-scores-header")
-      ) {
+      // If we found the scores header specifically, use it directly
+      if (scoresElement.matches(selectors.scoresHeader)) {
         gaugeContainer = scoresElement;
-        console.log("✅ Using lh-scores-header directly for all scores");
+        console.log("✅ Using the scores header directly for all scores");
       } else {
-        // Look for the lh-scores-header within the found element
-        const scoresHeader = scoresElement.querySelector(
-          '.lh-scores-header, div[class*="lh-scores-header"]'
-        );
+        // Look for the scores header within the found container
+        const scoresHeader = scoresElement.querySelector(selectors.scoresHeader);
         if (scoresHeader) {
           gaugeContainer = scoresHeader;
-          console.log("✅ Found lh-scores-header within container");
+          console.log("✅ Found the scores header within container");
         }
       }
 
       // Calculate tight bounds around just the gauge elements themselves
-      const allGauges = gaugeContainer.querySelectorAll(
-        '.lh-gauge, div[class*="lh-gauge"], svg[class*="gauge"], circle[class*="gauge"]'
-      );
+      let allGauges = Array.from(gaugeContainer.querySelectorAll(selectors.gauge));
+
+      // Keep only the gauges for the requested categories
+      if (categories && categories.length > 0) {
+        const selectedGauges = allGauges.filter((gauge) =>
+          categories.includes(getGaugeCategory(gauge))
+        );
+        console.log("Category filter:", {
+          requested: categories,
+          matchedElements: selectedGauges.length,
+        });
+
+        if (selectedGauges.length > 0) {
+          allGauges = selectedGauges;
+        } else {
+          console.log(
+            "⚠️ No gauges matched the requested categories, using all gauges"
+          );
+        }
+      }
 
       console.log(
         `Found ${allGauges.length} individual gauges for tight cropping`
       );
 
       let finalRect;
+      const gaugeRects = [];
 
       if (allGauges.length > 0) {
         // Calculate the bounding box that contains all gauges with minimal padding
@@ -401,6 +805,60 @@ function getPerformanceScoreElement(tightPadding = 5, fallbackPadding = 10) {
           tight_bounds: finalRect,
           original_container: gaugeContainer.getBoundingClientRect(),
         });
+
+        // Also calculate one rect per category for per-category crops
+        const boundsByCategory = new Map();
+        for (const gauge of allGauges) {
+          const category = getGaugeCategory(gauge);
+          const gaugeRect = gauge.getBoundingClientRect();
+          if (!category || gaugeRect.width === 0 || gaugeRect.height === 0) {
+            continue;
+          }
+
+          const bounds = boundsByCategory.get(category) || {
+            minX: Infinity,
+            maxX: -Infinity,
+            minY: Infinity,
+            maxY: -Infinity,
+          };
+          bounds.minX = Math.min(bounds.minX, gaugeRect.left);
+          bounds.maxX = Math.max(bounds.maxX, gaugeRect.right);
+          bounds.minY = Math.min(bounds.minY, gaugeRect.top);
+          bounds.maxY = Math.max(bounds.maxY, gaugeRect.bottom);
+          boundsByCategory.set(category, bounds);
+        }
+
+        for (const [category, bounds] of boundsByCategory) {
+          let width = bounds.maxX - bounds.minX + tightPaddingPx * 2;
+          let height = bounds.maxY - bounds.minY + tightPaddingPx * 2;
+          let x = bounds.minX - tightPaddingPx;
+          let y = bounds.minY - tightPaddingPx;
+
+          // Grow the shorter side around the centre to make a square tile
+          if (squareTiles) {
+            const size = Math.max(width, height);
+            x -= (size - width) / 2;
+            y -= (size - height) / 2;
+            width = size;
+            height = size;
+          }
+
+          // Cut off what lies past the edges of the viewport rather than sliding
+          // the tile over, so the gauge stays where it is in the tile
+          const left = Math.max(0, x);
+          const top = Math.max(0, y);
+          gaugeRects.push({
+            category,
+            rect: {
+              x: left,
+              y: top,
+              width: Math.min(x + width, window.innerWidth) - left,
+              height: Math.min(y + height, window.innerHeight) - top,
+            },
+          });
+        }
+
+        console.log("Per-category gauge rects:", gaugeRects);
       } else {
         // Fallback to container bounds with reduced padding
         const rect = gaugeContainer.getBoundingClientRect();
@@ -420,14 +878,12 @@ function getPerformanceScoreElement(tightPadding = 5, fallbackPadding = 10) {
       if (finalRect && finalRect.width > 0 && finalRect.height > 0) {
         // Determine device type from active tab panel
         let deviceType = "unknown";
-        const parentPanel = gaugeContainer.closest('[role="tabpanel"]');
+        const parentPanel = gaugeContainer.closest(selectors.panel);
         if (parentPanel) {
-          const panelId = parentPanel.getAttribute("aria-labelledby") || "";
-          deviceType = panelId.toLowerCase().includes("desktop")
-            ? "desktop"
-            : panelId.toLowerCase().includes("mobile")
-            ? "mobile"
-            : "unknown";
+          deviceType =
+            ["desktop", "mobile"].find((candidate) =>
+              parentPanel.matches(fillDevice(selectors.devicePanel, candidate))
+            ) || "unknown";
         }
 
         console.log("✅ All scores found!", {
@@ -446,6 +902,7 @@ function getPerformanceScoreElement(tightPadding = 5, fallbackPadding = 10) {
           element: gaugeContainer.tagName + "." + gaugeContainer.className,
           gaugeCount: gauges.length,
           deviceType: deviceType,
+          gaugeRects: gaugeRects,
         };
       }
     }
@@ -457,73 +914,468 @@ function getPerformanceScoreElement(tightPadding = 5, fallbackPadding = 10) {
   return checkForElement();
 }
 
-// Function to crop the screenshot to the performance score element
-function cropScreenshotInPage(dataUrl, elementInfo) {
-  return new Promise((resolve) => {
-    const img = new Image();
-    img.onload = () => {
-      const canvas = document.createElement("canvas");
-      const ctx = canvas.getContext("2d");
+// Function to be injected into the page to read the numeric category scores
+// from the scores header of the active (or requested) device panel
+// selectors: the selector profile's selectors (see selector-profiles.js)
+function extractCategoryScores(deviceType, selectors) {
+  console.log(`🔢 Extracting ${deviceType} category scores...`);
 
-      const rect = elementInfo.rect;
-      const dpr = window.devicePixelRatio || 1;
+  // Prefer the active panel that belongs to the requested device
+  const activeTabPanels = Array.from(document.querySelectorAll(selectors.activePanel));
+  const devicePanelSelector = selectors.devicePanel.replace(/\{device\}/g, deviceType);
+  const panel =
+    activeTabPanels.find((candidate) => candidate.matches(devicePanelSelector)) ||
+    activeTabPanels[0] ||
+    document;
 
-      // Set canvas size to the cropped area (accounting for device pixel ratio)
-      canvas.width = rect.width * dpr;
-      canvas.height = rect.height * dpr;
+  const scoresHeader = panel.querySelector(selectors.scoresHeader) || panel;
 
-      // Enable image smoothing for better quality
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = "high";
+  const wrappers = scoresHeader.querySelectorAll(selectors.gaugeWrapper);
+  console.log(`Found ${wrappers.length} gauge wrappers`);
 
-      // Draw the cropped portion of the image
-      ctx.drawImage(
-        img,
-        rect.x * dpr, // Source x
-        rect.y * dpr, // Source y
-        rect.width * dpr, // Source width
-        rect.height * dpr, // Source height
-        0, // Destination x
-        0, // Destination y
-        rect.width * dpr, // Destination width (same as source)
-        rect.height * dpr // Destination height (same as source)
-      );
+  const categories = [];
+  const seen = new Set();
 
-      // Use PNG for lossless quality
-      const finalDataUrl = canvas.toDataURL("image/png");
+  for (const wrapper of wrappers) {
+    const labelElement = wrapper.querySelector(selectors.gaugeLabel);
+    const label = labelElement ? labelElement.textContent.trim() : "";
 
-      console.log("Canvas dimensions:", canvas.width, "x", canvas.height);
-      console.log("Original rect:", rect);
-      console.log("DPR:", dpr, "- No scaling applied");
+    const href = wrapper.getAttribute("href") || "";
+    const id =
+      href.length > 1
+        ? href.slice(1).toLowerCase()
+        : label.toLowerCase().replace(/\s+/g, "-");
 
-      resolve(finalDataUrl);
-    };
-    img.onerror = () => {
-      resolve(null);
-    };
-    img.src = dataUrl;
-  });
-}
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
 
-// Function to show notifications to the user
-function showNotification(message, notificationDuration = 4000) {
-  // Create a temporary notification element
-  const notification = document.createElement("div");
-  notification.style.cssText = `
-    position: fixed;
-    top: 20px;
-    right: 20px;
-    background: #4CAF50;
-    color: white;
-    padding: 12px 20px;
-    border-radius: 4px;
-    box-shadow: 0 4px 6px rgba(0,0,0,0.1);
-    z-index: 10000;
-    font-family: Arial, sans-serif;
-    font-size: 14px;
-    max-width: 300px;
-    word-wrap: break-word;
-  `;
+    // PWA badges and in-progress gauges may not show a number
+    const percentageElement = wrapper.querySelector(selectors.gaugePercentage);
+    const text = percentageElement ? percentageElement.textContent.trim() : "";
+    const match = text.match(/\d+/);
+    const score = match ? parseInt(match[0], 10) : null;
+
+    categories.push({ id, label, score });
+  }
+
+  const scores = {};
+  for (const category of categories) {
+    scores[category.id] = category.score;
+  }
+
+  console.log(`✅ ${deviceType} scores:`, scores);
+  return { scores, categories };
+}
+
+// Function to be injected into the page to read the lab metrics (FCP, LCP, TBT, CLS,
+// Speed Index) of the active device panel. With includeRect, the metrics grid is
+// scrolled into view and its viewport rect returned for cropping.
+// selectors: the selector profile's selectors (see selector-profiles.js)
+function extractLabMetrics(deviceType, includeRect = false, padding = 5, selectors) {
+  console.log(`📊 Extracting ${deviceType} lab metrics...`);
+
+  const activeTabPanels = Array.from(document.querySelectorAll(selectors.activePanel));
+  const devicePanelSelector = selectors.devicePanel.replace(/\{device\}/g, deviceType);
+  const panel =
+    activeTabPanels.find((candidate) => candidate.matches(devicePanelSelector)) ||
+    activeTabPanels[0] ||
+    document;
+
+  const container = panel.querySelector(selectors.metricsContainer);
+  if (!container) {
+    console.log(`❌ No metrics container found for ${deviceType}`);
+    return { found: false, metrics: [] };
+  }
+
+  // Parse a display value like "1.2 s", "1,230 ms" or "0.05" into number + unit
+  const parseMetricValue = (displayValue) => {
+    const match = displayValue
+      .replace(/\u00a0/g, " ")
+      .match(/([\d.,]+)\s*([a-zA-Z]*)/);
+    if (!match) return { value: null, unit: "" };
+
+    let numberText = match[1];
+    if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(numberText)) {
+      numberText = numberText.replace(/,/g, ""); // Thousands separators
+    } else {
+      numberText = numberText.replace(",", "."); // Decimal comma (localized reports)
+    }
+
+    const value = parseFloat(numberText);
+    const unit = match[2].toLowerCase();
+    return { value: Number.isFinite(value) ? value : null, unit };
+  };
+
+  const metrics = [];
+  for (const metric of container.querySelectorAll(selectors.metric)) {
+    const titleElement = metric.querySelector(selectors.metricTitle);
+    const valueElement = metric.querySelector(selectors.metricValue);
+    if (!titleElement || !valueElement) continue;
+
+    const displayValue = valueElement.textContent.trim();
+    const { value, unit } = parseMetricValue(displayValue);
+
+    // Time metrics are also given in milliseconds for easy comparison
+    let numericValueMs = null;
+    if (value !== null && unit === "s") numericValueMs = Math.round(value * 1000);
+    if (value !== null && unit === "ms") numericValueMs = Math.round(value);
+
+    const rating = metric.matches(selectors.metricPass)
+      ? "pass"
+      : metric.matches(selectors.metricAverage)
+      ? "average"
+      : metric.matches(selectors.metricFail)
+      ? "fail"
+      : null;
+
+    metrics.push({
+      id: metric.id || titleElement.textContent.trim().toLowerCase().replace(/\s+/g, "-"),
+      title: titleElement.textContent.trim(),
+      displayValue,
+      value,
+      unit,
+      numericValueMs,
+      rating,
+    });
+  }
+
+  console.log(`✅ ${deviceType} metrics:`, metrics);
+
+  const result = { found: true, metrics };
+
+  if (includeRect) {
+    result.previousScroll = { x: window.scrollX, y: window.scrollY };
+    container.scrollIntoView({ block: "center", inline: "nearest" });
+
+    const rect = container.getBoundingClientRect();
+    result.rect = {
+      x: Math.max(0, rect.left - padding),
+      y: Math.max(0, rect.top - padding),
+      width: Math.min(window.innerWidth, rect.width + padding * 2),
+      height: Math.min(window.innerHeight, rect.height + padding * 2),
+    };
+    console.log("Metrics grid rect:", result.rect);
+  }
+
+  return result;
+}
+
+// Function to be injected into the page to measure the active device panel for a
+// full-report capture. Scrolls to the top of the panel so sticky headers settle.
+// selectors: the selector profile's selectors (see selector-profiles.js)
+function prepareFullReportCapture(deviceType, maxHeight = 16000, selectors) {
+  console.log(`📜 Preparing full ${deviceType} report capture...`);
+
+  const activeTabPanels = Array.from(document.querySelectorAll(selectors.activePanel));
+  const devicePanelSelector = selectors.devicePanel.replace(/\{device\}/g, deviceType);
+  const panel =
+    activeTabPanels.find((candidate) => candidate.matches(devicePanelSelector)) || activeTabPanels[0];
+
+  if (!panel) {
+    console.log("❌ No active report panel found");
+    return { found: false };
+  }
+
+  const previousScroll = { x: window.scrollX, y: window.scrollY };
+  const dpr = window.devicePixelRatio || 1;
+  const initialRect = panel.getBoundingClientRect();
+  const panelTop = initialRect.top + window.scrollY;
+
+  window.scrollTo(0, panelTop);
+
+  // Fixed or stuck elements across the top of the viewport hide content below them
+  let stickyHeight = 0;
+  for (const element of document.querySelectorAll("body *")) {
+    const style = window.getComputedStyle(element);
+    if (style.position !== "fixed" && style.position !== "sticky") continue;
+    if (style.display === "none" || style.visibility === "hidden") continue;
+
+    const rect = element.getBoundingClientRect();
+    if (
+      rect.height > 0 &&
+      rect.top <= 1 &&
+      rect.bottom > 0 &&
+      rect.bottom < window.innerHeight / 2 &&
+      rect.width >= window.innerWidth / 2
+    ) {
+      stickyHeight = Math.max(stickyHeight, rect.bottom);
+    }
+  }
+
+  // Canvas sides are limited to 32767 device pixels
+  const heightLimit = Math.min(maxHeight, Math.floor(32000 / dpr));
+  const rect = panel.getBoundingClientRect();
+
+  const info = {
+    found: true,
+    previousScroll,
+    panelTop,
+    x: Math.max(0, rect.left),
+    width: Math.min(window.innerWidth, rect.width),
+    height: Math.min(rect.height, heightLimit),
+    truncated: rect.height > heightLimit,
+    viewportHeight: window.innerHeight,
+    stickyHeight: Math.ceil(stickyHeight),
+  };
+
+  console.log("Full report layout:", info);
+  return info;
+}
+
+// Function to be injected into the page to scroll and report where it ended up
+function scrollToPosition(y) {
+  window.scrollTo(0, y);
+  return { scrollY: window.scrollY, innerHeight: window.innerHeight };
+}
+
+// Function to be injected into the page to start a stitched full-report image
+// scale: pixel density of the stitched image, or null for the device pixel ratio
+function beginFullReportStitch(width, height, scale) {
+  const outputScale = scale || window.devicePixelRatio || 1;
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * outputScale);
+  canvas.height = Math.round(height * outputScale);
+  canvas.dataset.scale = String(outputScale);
+  window.__pagespeedReportStitch = canvas;
+
+  console.log("Stitch canvas:", canvas.width, "x", canvas.height);
+  return true;
+}
+
+// Function to be injected into the page to draw one captured segment into the stitch
+function drawFullReportSegment(dataUrl, x, sourceY, width, height, destY) {
+  return new Promise((resolve) => {
+    const canvas = window.__pagespeedReportStitch;
+    if (!canvas) {
+      resolve(false);
+      return;
+    }
+
+    const img = new Image();
+    img.onload = () => {
+      const dpr = window.devicePixelRatio || 1;
+      const scale = Number(canvas.dataset.scale);
+      const ctx = canvas.getContext("2d");
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = "high";
+      ctx.drawImage(
+        img,
+        x * dpr, // Source x
+        sourceY * dpr, // Source y
+        width * dpr, // Source width
+        height * dpr, // Source height
+        0, // Destination x
+        destY * scale, // Destination y
+        width * scale, // Destination width
+        height * scale // Destination height
+      );
+      resolve(true);
+    };
+    img.onerror = () => {
+      resolve(false);
+    };
+    img.src = dataUrl;
+  });
+}
+
+// Function to be injected into the page to finish the stitch and return the image
+function finishFullReportStitch() {
+  const canvas = window.__pagespeedReportStitch;
+  delete window.__pagespeedReportStitch;
+  return canvas ? canvas.toDataURL("image/png") : null;
+}
+
+// Function to be injected into the page to restore a saved scroll position
+function restoreScrollPosition(x, y) {
+  window.scrollTo(x, y);
+  return true;
+}
+
+// Function to crop the screenshot to the performance score element
+// scale: pixel density of the cropped image, or null to keep the device pixel ratio
+function cropScreenshotInPage(dataUrl, elementInfo, scale = null) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      const ctx = canvas.getContext("2d");
+
+      const rect = elementInfo.rect;
+      const dpr = window.devicePixelRatio || 1;
+      const outputScale = scale || dpr;
+
+      // Set canvas size to the cropped area at the output scale
+      canvas.width = Math.round(rect.width * outputScale);
+      canvas.height = Math.round(rect.height * outputScale);
+
+      // Enable image smoothing for better quality
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = "high";
+
+      // Draw the cropped portion of the image
+      ctx.drawImage(
+        img,
+        rect.x * dpr, // Source x
+        rect.y * dpr, // Source y
+        rect.width * dpr, // Source width
+        rect.height * dpr, // Source height
+        0, // Destination x
+        0, // Destination y
+        canvas.width, // Destination width
+        canvas.height // Destination height
+      );
+
+      // PNG keeps the crop lossless; the saved format is applied on the way out
+      const finalDataUrl = canvas.toDataURL("image/png");
+
+      console.log("Canvas dimensions:", canvas.width, "x", canvas.height);
+      console.log("Original rect:", rect);
+      console.log("DPR:", dpr, "- output scale:", outputScale);
+
+      resolve(finalDataUrl);
+    };
+    img.onerror = () => {
+      resolve(null);
+    };
+    img.src = dataUrl;
+  });
+}
+
+// Function to be injected into the page to merge device images into one composite
+// images: [{ label, dataUrl }], options: { layout, showLabels, spacing, background,
+// scale (pixel density of the images, or null for the device pixel ratio) }
+function composeDeviceImagesInPage(images, options) {
+  const loadImage = (src) =>
+    new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error("Failed to load image"));
+      img.src = src;
+    });
+
+  return Promise.all(images.map((image) => loadImage(image.dataUrl)))
+    .then((loaded) => {
+      // Crops are at the output scale, so scale spacing and text the same way
+      const dpr = options.scale || window.devicePixelRatio || 1;
+      const spacing = Math.round(options.spacing * dpr);
+      const fontSize = Math.round(16 * dpr);
+      const captionHeight = options.showLabels
+        ? Math.round(fontSize * 1.75)
+        : 0;
+      const stacked = options.layout === "stacked";
+
+      const cellWidths = loaded.map((img) => img.width);
+      const cellHeights = loaded.map((img) => img.height + captionHeight);
+
+      const canvas = document.createElement("canvas");
+      canvas.width = stacked
+        ? Math.max(...cellWidths) + spacing * 2
+        : cellWidths.reduce((sum, width) => sum + width, 0) +
+          spacing * (loaded.length + 1);
+      canvas.height = stacked
+        ? cellHeights.reduce((sum, height) => sum + height, 0) +
+          spacing * (loaded.length + 1)
+        : Math.max(...cellHeights) + spacing * 2;
+
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = options.background;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = "high";
+
+      let x = spacing;
+      let y = spacing;
+      loaded.forEach((img, index) => {
+        // Centre each half within its row or column
+        const cellX = stacked ? (canvas.width - img.width) / 2 : x;
+
+        if (options.showLabels) {
+          ctx.fillStyle = "#202124";
+          ctx.font = `bold ${fontSize}px Arial, sans-serif`;
+          ctx.textAlign = "center";
+          ctx.textBaseline = "middle";
+          ctx.fillText(
+            images[index].label,
+            cellX + img.width / 2,
+            y + captionHeight / 2
+          );
+        }
+
+        ctx.drawImage(img, cellX, y + captionHeight);
+
+        if (stacked) {
+          y += cellHeights[index] + spacing;
+        } else {
+          x += cellWidths[index] + spacing;
+        }
+      });
+
+      console.log("Composite dimensions:", canvas.width, "x", canvas.height);
+      return canvas.toDataURL("image/png");
+    })
+    .catch((error) => {
+      console.log("❌ Failed to build composite:", error);
+      return null;
+    });
+}
+
+// Function to be injected into the page to shrink an image to a JPEG thumbnail
+function createThumbnailInPage(dataUrl, maxWidth) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, maxWidth / img.width);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#ffffff"; // JPEG has no transparency
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = "high";
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+      resolve(canvas.toDataURL("image/jpeg", 0.8));
+    };
+    img.onerror = () => {
+      resolve(null);
+    };
+    img.src = dataUrl;
+  });
+}
+
+// Function to be injected into the page to copy an image to the clipboard
+async function copyImageToClipboard(dataUrl) {
+  try {
+    const blob = await (await fetch(dataUrl)).blob();
+    await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+    return { success: true };
+  } catch (error) {
+    console.log("❌ Clipboard write failed:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Function to show notifications to the user
+function showNotification(message, notificationDuration = 4000) {
+  // Create a temporary notification element
+  const notification = document.createElement("div");
+  notification.style.cssText = `
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    background: #4CAF50;
+    color: white;
+    padding: 12px 20px;
+    border-radius: 4px;
+    box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    z-index: 10000;
+    font-family: Arial, sans-serif;
+    font-size: 14px;
+    max-width: 300px;
+    word-wrap: break-word;
+  `;
 
   if (message.includes("Error") || message.includes("not found")) {
     notification.style.background = "#f44336";
@@ -576,139 +1428,56 @@ function setViewportSize(width, height) {
   };
 }
 
-// Function to wait for element to be visible with retry logic
-function waitForElementVisible(
-  deviceType,
-  maxWaitTime = 10000,
-  checkInterval = 300
+// Function to capture the mobile and/or desktop screenshots selected in the plan
+// context.testedUrl: the URL under test when the caller already knows it (batch runs)
+// context.configOverrides: settings that apply to this run only (scheduled runs)
+// context.output: the run output of a batch (see createRunOutput) - otherwise this
+// capture is its own run
+// context.index / context.total: position of the URL in a batch, for the {index} token
+async function captureBothScreenshots(
+  tab,
+  plan = DEFAULT_CAPTURE_PLAN,
+  context = {}
 ) {
-  return new Promise((resolve, reject) => {
-    const startTime = Date.now();
-
-    const checkVisibility = () => {
-      console.log(`🔍 Checking visibility for ${deviceType}...`);
-
-      // Look for active tab panels specifically
-      const activeTabPanels = document.querySelectorAll(
-        '[role="tabpanel"][data-tab-panel-active="true"]'
-      );
-      console.log(`Found ${activeTabPanels.length} active tab panels`);
-
-      let targetElement = null;
-
-      // Check each active tab panel for the device type we want
-      for (const panel of activeTabPanels) {
-        const panelId = panel.getAttribute("aria-labelledby") || "";
-        const isDesktopPanel = panelId.toLowerCase().includes("desktop");
-        const isMobilePanel = panelId.toLowerCase().includes("mobile");
-
-        console.log(
-          `Panel ${panelId}: desktop=${isDesktopPanel}, mobile=${isMobilePanel}`
-        );
-
-        if (
-          (deviceType === "desktop" && isDesktopPanel) ||
-          (deviceType === "mobile" && isMobilePanel)
-        ) {
-          // Look for all scores within this panel (not just performance)
-          const scores = panel.querySelector(
-            ".lh-scores-header, " +
-              'div[class*="lh-scores-header"], ' +
-              ".lh-scores-container, " +
-              'div[class*="lh-scores-container"], ' +
-              'div[data-testid="scores-container"]'
-          );
-
-          if (scores) {
-            targetElement = scores;
-            console.log(`✅ Found ${deviceType} scores in panel ${panelId}`);
-            break;
-          }
-        }
-      }
-
-      // Fallback to original logic if no specific panel found
-      if (!targetElement) {
-        console.log(
-          `⚠️ No specific ${deviceType} panel found, using fallback...`
-        );
-
-        const mobileScores = document.querySelector(
-          ".lh-scores-header, " +
-            'div[class*="lh-scores-header"], ' +
-            ".lh-scores-container, " +
-            'div[class*="lh-scores-container"], ' +
-            'div[data-testid="scores-container"]'
-        );
-
-        const desktopScores = document.querySelector(
-          '.lh-scores-header:not([style*="display: none"]), ' +
-            'div[class*="lh-scores-header"]:not([style*="display: none"]), ' +
-            '.lh-scores-container:not([style*="display: none"]), ' +
-            'div[class*="lh-scores-container"]:not([style*="display: none"]), ' +
-            'div[data-testid="scores-container"]:not([style*="display: none"])'
-        );
-
-        targetElement =
-          deviceType === "mobile"
-            ? mobileScores || desktopScores
-            : desktopScores || mobileScores;
-      }
-
-      if (targetElement) {
-        // Check if element is actually visible (not just present in DOM)
-        const rect = targetElement.getBoundingClientRect();
-        const isVisible =
-          rect.width > 0 &&
-          rect.height > 0 &&
-          window.getComputedStyle(targetElement).display !== "none" &&
-          window.getComputedStyle(targetElement).visibility !== "hidden";
-
-        if (isVisible) {
-          console.log(`✅ ${deviceType} element is visible:`, {
-            element: targetElement.tagName + "." + targetElement.className,
-            rect: rect,
-            visible: isVisible,
-          });
-          resolve(true);
-          return;
-        }
-      }
-
-      const elapsed = Date.now() - startTime;
-      if (elapsed > maxWaitTime) {
-        console.warn(
-          `⏰ Timeout waiting for ${deviceType} element to be visible after ${elapsed}ms`
-        );
-        resolve(false); // Don't reject, just resolve as false
-        return;
-      }
-
-      // Continue checking
-      setTimeout(checkVisibility, checkInterval);
-    };
+  const capturePlan = normalizeCapturePlan(plan);
+  const deviceTypes = capturePlan.devices; // Mobile first, then desktop
+  const shouldDownload = capturePlan.outputMode !== "clipboard";
+  const shouldCopy = capturePlan.outputMode !== "download";
+  const testedUrl = context.testedUrl || getTestedUrlFromReportUrl(tab.url);
+  const results = [];
 
-    checkVisibility();
-  });
-}
+  // Read the latest settings so changes on the options page apply immediately
+  // The run keeps its own copy - later refreshes of CONFIG don't reach it
+  const runConfig = { ...(await refreshConfig()), ...context.configOverrides };
+  const output = context.output || createRunOutput(null, runConfig);
+  if (!context.output && !shouldDownload) {
+    output.pdfReport = false; // Clipboard only - nothing is saved
+  }
+  const branding = await loadActiveBrandingProfile(runConfig);
+  const imageExtension = getImageFormat(runConfig).extension;
 
-// Function to capture both mobile and desktop screenshots
-async function captureBothScreenshots(tab) {
-  const deviceTypes = ["mobile", "desktop"]; // Mobile first, then desktop
-  const results = [];
+  // Cropped strips kept for the mobile + desktop composite
+  const compositeSources = [];
+  // Branded strips that could go on the clipboard, in capture order
+  const clipboardSources = [];
+  // Selector self-check failures, reported with the summary
+  const selectorFailures = [];
+  const wantsComposite =
+    runConfig.COMPOSITE_MODE !== "off" && deviceTypes.length > 1;
 
-  console.log("🎬 Starting dual screenshot capture...");
+  console.log("🎬 Starting screenshot capture...", capturePlan);
 
   // Set a consistent viewport size for more predictable screenshots
   console.log("📐 Setting consistent viewport size...");
   await safeExecuteScript(tab.id, setViewportSize, [
-    CONFIG.VIEWPORT_WIDTH,
-    CONFIG.VIEWPORT_HEIGHT,
+    runConfig.VIEWPORT_WIDTH,
+    runConfig.VIEWPORT_HEIGHT,
   ]);
 
-  // Wait for viewport changes to take effect
-  await new Promise((resolve) => setTimeout(resolve, CONFIG.VIEWPORT_WAIT_MS));
+  // No fixed wait for the re-layout - each device waits for its report to settle
 
+  // Pick the selectors matching this report's markup
+  const selectors = (await getReportSelectorProfile(tab.id, runConfig)).selectors;
   for (let i = 0; i < deviceTypes.length; i++) {
     const deviceType = deviceTypes[i];
     console.log(
@@ -722,47 +1491,28 @@ async function captureBothScreenshots(tab) {
       console.log(`🔄 Switching to ${deviceType} view...`);
       const switchResult = await safeExecuteScript(tab.id, switchToDeviceView, [
         deviceType,
-        CONFIG.BUTTON_STATE_CHECK_DELAY_MS,
+        runConfig.BUTTON_STATE_CHECK_DELAY_MS,
+        selectors,
       ]);
       console.log(`Switch to ${deviceType} result:`, switchResult);
 
-      // Wait for tab switch to complete
-      const baseWaitTime =
-        deviceType === "desktop"
-          ? CONFIG.DESKTOP_SWITCH_WAIT_MS
-          : CONFIG.MOBILE_SWITCH_WAIT_MS;
-      console.log(
-        `⏳ Initial wait ${baseWaitTime}ms for ${deviceType} view to load...`
-      );
-      await new Promise((resolve) => setTimeout(resolve, baseWaitTime));
-
-      // Wait for the element to be visible with retry logic
-      console.log(`👀 Waiting for ${deviceType} element to be visible...`);
-      const elementVisible = await safeExecuteScript(
-        tab.id,
-        waitForElementVisible,
-        [
-          deviceType,
-          CONFIG.ELEMENT_VISIBILITY_TIMEOUT_MS,
-          CONFIG.VISIBILITY_CHECK_INTERVAL_MS,
-        ]
-      );
-      console.log(
-        `Element visibility check result for ${deviceType}:`,
-        elementVisible
-      );
-
-      if (!elementVisible || !elementVisible[0] || !elementVisible[0].result) {
+      // Wait for the panel to show and its gauges to finish animating
+      console.log(`👀 Waiting for the ${deviceType} report to settle...`);
+      const readiness = await waitForDeviceSettled(tab.id, deviceType, runConfig);
+      if (readiness.error) {
+        throw new Error(`PageSpeed Insights error: ${readiness.error}`);
+      }
+      if (!readiness.reached) {
         console.warn(
-          `⚠️ ${deviceType} element not visible, but continuing anyway...`
+          `⚠️ ${deviceType} report did not settle, but continuing anyway...`
         );
       }
 
-      // Additional wait for desktop to ensure content is fully rendered
-      if (deviceType === "desktop") {
-        console.log("🖥️ Extra wait for desktop content rendering...");
-        await new Promise((resolve) =>
-          setTimeout(resolve, CONFIG.DESKTOP_EXTRA_WAIT_MS)
+      // Self-check: name the selector that no longer matches PSI's markup
+      const selectorCheck = await checkReportSelectors(tab.id, deviceType);
+      if (selectorCheck.failures.length > 0) {
+        selectorFailures.push(
+          describeSelectorFailures(selectorCheck.profileId, selectorCheck.failures)
         );
       }
 
@@ -771,7 +1521,13 @@ async function captureBothScreenshots(tab) {
       const elementResults = await safeExecuteScript(
         tab.id,
         getPerformanceScoreElement,
-        [CONFIG.TIGHT_PADDING_PX, CONFIG.FALLBACK_PADDING_PX]
+        [
+          runConfig.TIGHT_PADDING_PX,
+          runConfig.FALLBACK_PADDING_PX,
+          capturePlan.categories,
+          runConfig.SQUARE_CATEGORY_TILES,
+          selectors,
+        ]
       );
 
       if (
@@ -780,159 +1536,838 @@ async function captureBothScreenshots(tab) {
         !elementResults[0].result ||
         !elementResults[0].result.found
       ) {
-        console.warn(`⚠️ ${deviceType} scores not found, skipping...`);
-        continue;
+        throw new Error(
+          selectorCheck.failures.length > 0
+            ? `${deviceType} scores not found. ${describeSelectorFailures(
+                selectorCheck.profileId,
+                selectorCheck.failures
+              )}`
+            : `${deviceType} scores not found`
+        );
       }
 
       const elementInfo = elementResults[0].result;
       console.log(`🎯 ${deviceType} element info:`, elementInfo);
 
-      // Capture screenshot with retry
-      console.log(`📷 Capturing ${deviceType} tab screenshot...`);
-      let dataUrl;
+      // Read the numeric scores shown in the gauges
+      let scoreInfo = { scores: {}, categories: [] };
       try {
-        dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
-          format: "png",
-          quality: 100,
-        });
+        const scoreResults = await safeExecuteScript(
+          tab.id,
+          extractCategoryScores,
+          [deviceType, selectors]
+        );
+        if (scoreResults && scoreResults[0] && scoreResults[0].result) {
+          scoreInfo = scoreResults[0].result;
+        }
+      } catch (scoreError) {
+        console.warn(`⚠️ Could not read ${deviceType} scores:`, scoreError);
+      }
 
-        // Check if screenshot is valid (not blank)
-        if (!dataUrl || dataUrl.length < CONFIG.MIN_SCREENSHOT_SIZE_BYTES) {
-          throw new Error(
-            `Screenshot appears to be blank (${
-              dataUrl ? dataUrl.length : 0
-            } bytes)`
+      // Read the lab metrics from the same panel
+      let metricsInfo = { found: false, metrics: [] };
+      if (runConfig.CAPTURE_LAB_METRICS) {
+        try {
+          const metricsResults = await safeExecuteScript(
+            tab.id,
+            extractLabMetrics,
+            [deviceType, false, runConfig.TIGHT_PADDING_PX, selectors]
           );
+          if (metricsResults && metricsResults[0] && metricsResults[0].result) {
+            metricsInfo = metricsResults[0].result;
+          }
+        } catch (metricsError) {
+          console.warn(`⚠️ Could not read ${deviceType} metrics:`, metricsError);
         }
+      }
 
-        console.log(
-          `📸 ${deviceType} screenshot captured: ${dataUrl.length} bytes`
-        );
-      } catch (captureError) {
-        console.error(
-          `❌ Failed to capture ${deviceType} screenshot:`,
-          captureError
-        );
+      // Capture screenshot with retry
+      console.log(`📷 Capturing ${deviceType} tab screenshot...`);
+      const dataUrl = await captureVisibleTabWithRetry(
+        tab.windowId,
+        deviceType,
+        runConfig
+      );
 
-        // Try one more time after a longer wait
-        console.log(
-          `🔄 Retrying ${deviceType} screenshot after additional wait...`
+      // Crop the combined strip - in per-category mode only when the composite, the
+      // clipboard, the PDF report or the history thumbnail shows it
+      const saveCombined = runConfig.CROP_MODE !== "per-category";
+      const needsCombinedCrop =
+        saveCombined ||
+        wantsComposite ||
+        shouldCopy ||
+        output.pdfReport ||
+        runConfig.SAVE_HISTORY;
+      let croppedDataUrl = null;
+      if (needsCombinedCrop) {
+        console.log(`✂️ Cropping ${deviceType} screenshot...`);
+        const cropResults = await safeExecuteScript(
+          tab.id,
+          cropScreenshotInPage,
+          [dataUrl, elementInfo, getOutputScale(runConfig)]
         );
-        await new Promise((resolve) =>
-          setTimeout(resolve, CONFIG.SCREENSHOT_RETRY_WAIT_MS)
-        );
-
-        dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
-          format: "png",
-          quality: 100,
-        });
 
-        if (!dataUrl || dataUrl.length < CONFIG.MIN_SCREENSHOT_SIZE_BYTES) {
-          throw new Error(`Screenshot retry also failed for ${deviceType}`);
+        if (!cropResults || !cropResults[0] || !cropResults[0].result) {
+          throw new Error(`Failed to crop ${deviceType} screenshot`);
         }
 
-        console.log(
-          `📸 ${deviceType} screenshot retry successful: ${dataUrl.length} bytes`
-        );
+        croppedDataUrl = cropResults[0].result;
+        console.log(`✅ ${deviceType} screenshot cropped successfully`);
       }
 
-      // Crop screenshot
-      console.log(`✂️ Cropping ${deviceType} screenshot...`);
-      const cropResults = await safeExecuteScript(
-        tab.id,
-        cropScreenshotInPage,
-        [dataUrl, elementInfo]
+      // Work out the tested page for the file names
+      console.log(`🏷️ Reading the tested URL for ${deviceType}...`);
+      let reportUrls = {};
+      try {
+        const urlResults = await safeExecuteScript(tab.id, extractReportUrls, [
+          deviceType,
+          selectors,
+        ]);
+        reportUrls = (urlResults && urlResults[0] && urlResults[0].result) || {};
+      } catch (urlError) {
+        console.warn(`⚠️ Could not read the URLs shown in the ${deviceType} report:`, urlError);
+      }
+      const { tested, finalUrl } = resolveTestedUrl(testedUrl, reportUrls);
+      const pageUrl = tested ? tested.url : null;
+      const domain = tested ? tested.domain : "pagespeed-result";
+      console.log(
+        tested
+          ? `✅ Tested URL: ${pageUrl}${finalUrl !== pageUrl ? ` (redirected to ${finalUrl})` : ""}`
+          : "⚠️ Could not find the tested URL, using a fallback name"
       );
 
-      if (!cropResults || !cropResults[0] || !cropResults[0].result) {
-        throw new Error(`Failed to crop ${deviceType} screenshot`);
+      const capturedAt = new Date();
+
+      // Everything the filename and folder templates can use for this device
+      const naming = {
+        domain,
+        url: pageUrl,
+        device: deviceType,
+        scores: scoreInfo.scores,
+        capturedAt,
+        index: context.index,
+        total: context.total,
+      };
+      const filename = getCaptureFilename(runConfig, naming, imageExtension);
+      console.log(`📝 Generated filename: ${filename}`);
+      const brandedDataUrl = croppedDataUrl
+        ? await brandImage(croppedDataUrl, branding, naming, runConfig)
+        : null;
+      if (!output.bundleName) {
+        output.bundleName = `pagespeed-capture-${cleanDomainForFilename(
+          domain
+        )}-${formatFilenameTimestamp(capturedAt)}`;
       }
 
-      const croppedDataUrl = cropResults[0].result;
-      console.log(`✅ ${deviceType} screenshot cropped successfully`);
+      // What the bundle manifest lists for each of this device's files
+      const fileDetails = {
+        url: pageUrl || domain,
+        device: deviceType,
+        scores: scoreInfo.scores,
+      };
 
-      // Extract domain from page content
-      console.log(`🏷️ Extracting domain for ${deviceType} filename...`);
-      const domainResults = await safeExecuteScript(
-        tab.id,
-        extractTestedDomain
-      );
-      let domain = "pagespeed-result";
+      // Download screenshot
+      // With a composite "instead", strips wait until we know the composite worked
+      const savePerCategory = runConfig.CROP_MODE !== "combined";
+      const deferCombined =
+        wantsComposite && runConfig.COMPOSITE_MODE === "instead";
 
-      if (domainResults && domainResults[0] && domainResults[0].result) {
-        domain = domainResults[0].result;
-        console.log(`✅ Domain extracted from page: ${domain}`);
-      } else {
-        console.log("⚠️ Could not extract domain from page, using fallback");
+      if (wantsComposite) {
+        compositeSources.push({
+          deviceType,
+          dataUrl: croppedDataUrl,
+          brandedDataUrl,
+          filename,
+          naming,
+          fileDetails,
+        });
+      }
 
-        // Fallback to URL parameter method
-        try {
-          const url = new URL(tab.url);
-          const urlParam = url.searchParams.get("url");
-          if (urlParam) {
-            const urlObj = new URL(urlParam);
-            domain = urlObj.hostname;
-            console.log(`✅ Domain extracted from URL parameter: ${domain}`);
+      // Every file downloaded for this device, for the history and batch summary
+      const savedFiles = [];
+
+      if (shouldDownload) {
+        if (saveCombined && !deferCombined) {
+          await saveRunFile(
+            output,
+            { filename, dataUrl: brandedDataUrl },
+            fileDetails
+          );
+          savedFiles.push(filename);
+          console.log(`✅ ${deviceType} screenshot saved: ${filename}`);
+        }
+
+        // Crop each category gauge from the same screenshot
+        const categoryImages = {};
+        if (savePerCategory) {
+          if (!elementInfo.gaugeRects || elementInfo.gaugeRects.length === 0) {
+            console.warn(
+              `⚠️ No per-category gauge rects for ${deviceType}, skipping category images`
+            );
+          }
+
+          for (const { category, rect } of elementInfo.gaugeRects || []) {
+            const categoryCropResults = await safeExecuteScript(
+              tab.id,
+              cropScreenshotInPage,
+              [dataUrl, { rect }, getOutputScale(runConfig)]
+            );
+            if (
+              !categoryCropResults ||
+              !categoryCropResults[0] ||
+              !categoryCropResults[0].result
+            ) {
+              console.warn(`⚠️ Failed to crop ${deviceType} ${category} gauge`);
+              continue;
+            }
+
+            const categoryFilename = getCaptureFilename(
+              runConfig,
+              { ...naming, category },
+              imageExtension
+            );
+            await saveRunFile(
+              output,
+              {
+                filename: categoryFilename,
+                dataUrl: await brandImage(
+                  categoryCropResults[0].result,
+                  branding,
+                  { ...naming, category },
+                  runConfig
+                ),
+              },
+              fileDetails
+            );
+            categoryImages[category] = categoryFilename;
+            savedFiles.push(categoryFilename);
+            console.log(`✅ ${deviceType} ${category} gauge saved: ${categoryFilename}`);
+          }
+        }
+
+        // Crop the metrics grid into its own image
+        let metricsFilename = null;
+        if (runConfig.CAPTURE_METRICS_IMAGE) {
+          try {
+            metricsFilename = await captureMetricsImage(
+              tab,
+              deviceType,
+              getCaptureFilename(
+                runConfig,
+                { ...naming, type: "metrics" },
+                imageExtension
+              ),
+              output,
+              fileDetails,
+              selectors,
+              runConfig
+            );
+            savedFiles.push(metricsFilename);
+          } catch (metricsImageError) {
+            console.warn(
+              `⚠️ Could not capture ${deviceType} metrics image:`,
+              metricsImageError
+            );
+          }
+        }
+
+        // Scroll through the whole report and stitch it into one image
+        let fullReportFilename = null;
+        if (runConfig.FULL_REPORT_CAPTURE) {
+          try {
+            fullReportFilename = await captureFullReport(
+              tab,
+              deviceType,
+              getCaptureFilename(
+                runConfig,
+                { ...naming, type: "report" },
+                imageExtension
+              ),
+              output,
+              fileDetails,
+              selectors,
+              runConfig
+            );
+            savedFiles.push(fullReportFilename);
+          } catch (fullReportError) {
+            console.warn(
+              `⚠️ Could not capture full ${deviceType} report:`,
+              fullReportError
+            );
           }
-        } catch (error) {
-          console.log("❌ URL parameter extraction also failed:", error);
+        }
+
+        // Write the scores next to the image for reporting scripts
+        if (runConfig.WRITE_JSON_SIDECAR) {
+          const sidecarFilename = filename.replace(/\.\w+$/, ".json");
+          const sidecar = {
+            testedUrl: pageUrl,
+            finalUrl: finalUrl,
+            domain: domain,
+            device: deviceType,
+            scores: scoreInfo.scores,
+            categories: scoreInfo.categories,
+            metrics: metricsInfo.metrics,
+            reportUrl: tab.url,
+            capturedAt: capturedAt.toISOString(),
+            image: saveCombined && !deferCombined ? filename : null,
+            categoryImages: categoryImages,
+            metricsImage: metricsFilename,
+            fullReportImage: fullReportFilename,
+          };
+
+          await saveRunFile(
+            output,
+            {
+              filename: sidecarFilename,
+              text: JSON.stringify(sidecar, null, 2),
+              mimeType: "application/json",
+            },
+            fileDetails
+          );
+          savedFiles.push(sidecarFilename);
+          console.log(`🧾 ${deviceType} score sidecar saved: ${sidecarFilename}`);
         }
       }
 
-      const timestamp = new Date()
-        .toISOString()
-        .replace(/[:.]/g, "-")
-        .slice(0, 19);
+      // The clipboard gets one image once every device is done
+      if (shouldCopy) {
+        clipboardSources.push({ deviceType, dataUrl: brandedDataUrl });
+      }
 
-      // Clean domain for filename (remove www., replace special chars with underscores)
-      const cleanDomain = domain
-        .replace(/^www\./, "")
-        .replace(/[^a-zA-Z0-9.-]/g, "_")
-        .replace(/_{2,}/g, "_") // Replace multiple underscores with single
-        .replace(/^_|_$/g, ""); // Remove leading/trailing underscores
+      const historyRecord = {
+        url: pageUrl ? normalizePageUrl(pageUrl) : domain,
+        domain: domain,
+        device: deviceType,
+        scores: scoreInfo.scores,
+        metrics: metricsInfo.metrics,
+        capturedAt: capturedAt.getTime(),
+        reportUrl: tab.url,
+        files: savedFiles,
+      };
+
+      recordRunCapture(output, historyRecord, croppedDataUrl);
+
+      // Compare with the previous capture before this one joins the history
+      if (runConfig.REGRESSION_ALERTS) {
+        await checkForRegression(historyRecord, runConfig);
+      }
 
-      const filename = `pagespeed-score-${cleanDomain}-${deviceType}-${timestamp}.png`;
-      console.log(`📝 Generated filename: ${filename}`);
+      // Keep a record for the history page and trend charts
+      if (runConfig.SAVE_HISTORY) {
+        await saveCaptureToHistory(
+          historyRecord,
+          await createHistoryThumbnail(tab, croppedDataUrl)
+        );
+      }
 
-      // Download screenshot
-      chrome.downloads.download({
-        url: croppedDataUrl,
-        filename: filename,
-        saveAs: false,
+      results.push({
+        deviceType,
+        filename: shouldDownload && saveCombined && !deferCombined ? filename : null,
+        files: savedFiles,
+        copied: false,
+        scores: scoreInfo.scores,
+        metrics: metricsInfo.metrics,
       });
-
-      results.push({ deviceType, filename });
-      console.log(`✅ ${deviceType} screenshot saved: ${filename}`);
     } catch (error) {
       console.error(`❌ Failed to capture ${deviceType} screenshot:`, error);
       results.push({ deviceType, error: error.message });
     }
   }
 
-  // Show summary notification
-  const successCount = results.filter((r) => !r.error).length;
+  // Merge the device strips into one composite image
+  const composite = wantsComposite
+    ? await buildCompositeImage(tab, compositeSources, branding, runConfig)
+    : null;
+  if (wantsComposite && shouldDownload) {
+    const compositeFilename = composite
+      ? await saveCompositeImage(composite, output, runConfig)
+      : null;
+
+    // Fall back to the individual strips if the composite could not be built
+    if (
+      !compositeFilename &&
+      runConfig.COMPOSITE_MODE === "instead" &&
+      runConfig.CROP_MODE !== "per-category"
+    ) {
+      for (const source of compositeSources) {
+        await saveRunFile(
+          output,
+          { filename: source.filename, dataUrl: source.brandedDataUrl },
+          source.fileDetails
+        );
+        const result = results.find((r) => r.deviceType === source.deviceType);
+        if (result) {
+          result.filename = source.filename;
+          result.files.unshift(source.filename);
+        }
+        console.log(`✅ ${source.deviceType} screenshot saved: ${source.filename}`);
+      }
+    }
+  }
 
-  let message;
-  if (successCount === 2) {
-    message = `📱💻 Both desktop and mobile screenshots captured!`;
-  } else if (successCount === 1) {
-    const successful = results.find((r) => !r.error);
-    message = `📸 ${
-      successful.deviceType.charAt(0).toUpperCase() +
-      successful.deviceType.slice(1)
-    } screenshot captured. ${2 - successCount} failed.`;
-  } else {
-    message = `❌ No screenshots captured. Check console for details.`;
+  // Put one image on the clipboard: the composite when there is one, otherwise the
+  // last device captured
+  let clipboardMessage = null;
+  if (shouldCopy) {
+    clipboardMessage = await copyCaptureToClipboard(
+      tab,
+      composite || clipboardSources[clipboardSources.length - 1],
+      results,
+      shouldDownload
+    );
+  }
+
+  // A capture on its own is delivered now; batches deliver once every URL is done
+  if (!context.output) {
+    try {
+      await finishRunOutput(output);
+    } catch (error) {
+      console.error("❌ Failed to build the run ZIP:", error);
+      for (const result of results) {
+        if (!result.error) result.error = `ZIP failed: ${error.message}`;
+      }
+    }
   }
 
+  // Show summary notification, saying which image is on the clipboard
   await safeExecuteScript(tab.id, showNotification, [
-    message,
-    CONFIG.NOTIFICATION_DURATION_MS,
+    [
+      summarizeCaptureResults(results, deviceTypes.length),
+      clipboardMessage,
+      ...new Set(selectorFailures),
+    ]
+      .filter(Boolean)
+      .join(" "),
+    runConfig.NOTIFICATION_DURATION_MS,
+  ]);
+
+  return results;
+}
+
+// Function to scroll through the active device report, capture each segment and
+// stitch them into one tall image, then download it
+async function captureFullReport(
+  tab,
+  deviceType,
+  filename,
+  output,
+  details,
+  selectors,
+  config = CONFIG
+) {
+  console.log(`📜 Capturing full ${deviceType} report...`);
+  const prepareResults = await safeExecuteScript(
+    tab.id,
+    prepareFullReportCapture,
+    [deviceType, config.FULL_REPORT_MAX_HEIGHT_PX, selectors]
+  );
+  const layout = prepareResults && prepareResults[0] && prepareResults[0].result;
+
+  if (!layout || !layout.found) {
+    throw new Error(`Report panel not found for ${deviceType}`);
+  }
+  if (layout.truncated) {
+    console.warn(
+      `⚠️ ${deviceType} report is taller than ${layout.height}px and will be cut off`
+    );
+  }
+
+  try {
+    await safeExecuteScript(tab.id, beginFullReportStitch, [
+      layout.width,
+      layout.height,
+      getOutputScale(config),
+    ]);
+
+    let offset = 0;
+    let segmentCount = 0;
+    while (offset < layout.height) {
+      // Scroll so the next uncaptured content sits just below the sticky header
+      const scrollResults = await safeExecuteScript(tab.id, scrollToPosition, [
+        layout.panelTop + offset - layout.stickyHeight,
+      ]);
+      const scrollInfo = scrollResults[0].result;
+
+      // At the bottom of the page the scroll may stop short of the target
+      const sourceY = layout.panelTop + offset - scrollInfo.scrollY;
+      const segmentHeight = Math.min(
+        layout.height - offset,
+        scrollInfo.innerHeight - sourceY
+      );
+      if (segmentHeight <= 0) {
+        console.warn("⚠️ No more content could be scrolled into view");
+        break;
+      }
+
+      // Wait for lazy content and respect the captureVisibleTab rate limit
+      await new Promise((resolve) =>
+        setTimeout(resolve, config.FULL_REPORT_SCROLL_WAIT_MS)
+      );
+
+      const dataUrl = await captureVisibleTabWithRetry(
+        tab.windowId,
+        `${deviceType} report segment ${segmentCount + 1}`,
+        config
+      );
+      const drawResults = await safeExecuteScript(
+        tab.id,
+        drawFullReportSegment,
+        [dataUrl, layout.x, sourceY, layout.width, segmentHeight, offset]
+      );
+      if (!drawResults || !drawResults[0] || !drawResults[0].result) {
+        throw new Error(`Failed to stitch ${deviceType} report segment`);
+      }
+
+      offset += segmentHeight;
+      segmentCount++;
+    }
+
+    const stitchResults = await safeExecuteScript(
+      tab.id,
+      finishFullReportStitch
+    );
+    if (!stitchResults || !stitchResults[0] || !stitchResults[0].result) {
+      throw new Error(`Failed to build full ${deviceType} report image`);
+    }
+
+    await saveRunFile(
+      output,
+      { filename, dataUrl: stitchResults[0].result },
+      details
+    );
+    console.log(
+      `✅ Full ${deviceType} report saved (${segmentCount} segments): ${filename}`
+    );
+    return filename;
+  } finally {
+    // Return to where the gauges were captured for the next device
+    await safeExecuteScript(tab.id, restoreScrollPosition, [
+      layout.previousScroll.x,
+      layout.previousScroll.y,
+    ]);
+  }
+}
+
+// Function to shrink a cropped capture into the thumbnail kept in the history
+async function createHistoryThumbnail(tab, croppedDataUrl) {
+  try {
+    const thumbnailResults = await safeExecuteScript(
+      tab.id,
+      createThumbnailInPage,
+      [croppedDataUrl, HISTORY_THUMBNAIL_WIDTH]
+    );
+    return (
+      (thumbnailResults && thumbnailResults[0] && thumbnailResults[0].result) ||
+      null
+    );
+  } catch (error) {
+    console.warn("⚠️ Could not create history thumbnail:", error);
+    return null;
+  }
+}
+
+// Function to store a capture (with a small thumbnail) in the IndexedDB history
+async function saveCaptureToHistory(record, thumbnail) {
+  try {
+    const id = await addCapture({ ...record, thumbnail });
+    console.log(`🗂️ ${record.device} capture saved to history (#${id})`);
+    return id;
+  } catch (error) {
+    // History is a convenience - never fail the capture because of it
+    console.warn(`⚠️ Could not save ${record.device} capture to history:`, error);
+    return null;
+  }
+}
+
+// Function to compare a capture with the previous one of the same page and device,
+// raising an alert for every category that dropped by at least its threshold
+async function checkForRegression(record, config = CONFIG) {
+  let previous;
+  try {
+    previous = await getLatestCapture(normalizePageUrl(record.url), record.device);
+  } catch (error) {
+    console.warn("⚠️ Could not read previous capture for comparison:", error);
+    return [];
+  }
+
+  if (!previous) {
+    console.log(`📈 No previous ${record.device} capture of ${record.url} to compare`);
+    return [];
+  }
+
+  const regressions = [];
+  for (const category of SCORE_CATEGORIES) {
+    const before = previous.scores && previous.scores[category.id];
+    const after = record.scores && record.scores[category.id];
+    if (before == null || after == null) continue;
+
+    const threshold = config[getRegressionThresholdKey(category.id)];
+    if (before - after >= threshold) {
+      regressions.push({ category: category.id, label: category.label, before, after });
+    }
+  }
+
+  if (regressions.length === 0) {
+    console.log(`📈 No regressions for ${record.device} against the previous capture`);
+    return [];
+  }
+
+  console.warn(`📉 ${record.device} regressions for ${record.url}:`, regressions);
+  await raiseRegressionAlert(record, previous, regressions);
+  return regressions;
+}
+
+// chrome.storage.session key mapping open alert notifications to their report URLs
+const REGRESSION_ALERTS_STORAGE_KEY = "regressionAlerts";
+
+// Function to show a notification and a red badge for a score regression
+async function raiseRegressionAlert(record, previous, regressions) {
+  const notificationId = `regression:${record.capturedAt}:${record.device}`;
+  const device =
+    record.device.charAt(0).toUpperCase() + record.device.slice(1);
+
+  await chrome.notifications.create(notificationId, {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title: `📉 ${device} score drop: ${record.domain}`,
+    message: regressions
+      .map(
+        (regression) =>
+          `${regression.label}: ${regression.before} → ${regression.after} (−${
+            regression.before - regression.after
+          })`
+      )
+      .join("\n"),
+    contextMessage: `Previous capture: ${new Date(
+      previous.capturedAt
+    ).toLocaleString()}`,
+    buttons: [{ title: "Open new report" }, { title: "Open previous report" }],
+    requireInteraction: true,
+  });
+
+  // Remember where the buttons lead - the worker may restart before they're clicked
+  const stored = await chrome.storage.session.get(REGRESSION_ALERTS_STORAGE_KEY);
+  const alerts = stored[REGRESSION_ALERTS_STORAGE_KEY] || {};
+  alerts[notificationId] = {
+    reportUrl: record.reportUrl,
+    previousReportUrl: previous.reportUrl,
+  };
+  await chrome.storage.session.set({ [REGRESSION_ALERTS_STORAGE_KEY]: alerts });
+
+  await chrome.action.setBadgeBackgroundColor({ color: "#d93025" });
+  await chrome.action.setBadgeText({ text: "!" });
+}
+
+// Function to forget an alert and clear the badge once none are left
+async function dismissRegressionAlert(notificationId) {
+  const stored = await chrome.storage.session.get(REGRESSION_ALERTS_STORAGE_KEY);
+  const alerts = stored[REGRESSION_ALERTS_STORAGE_KEY] || {};
+  const alert = alerts[notificationId];
+  delete alerts[notificationId];
+  await chrome.storage.session.set({ [REGRESSION_ALERTS_STORAGE_KEY]: alerts });
+
+  if (Object.keys(alerts).length === 0) {
+    await chrome.action.setBadgeText({ text: "" });
+  }
+  return alert;
+}
+
+chrome.notifications.onButtonClicked.addListener(
+  async (notificationId, buttonIndex) => {
+    if (!notificationId.startsWith("regression:")) return;
+
+    const alert = await dismissRegressionAlert(notificationId);
+    chrome.notifications.clear(notificationId);
+    if (!alert) return;
+
+    const url = buttonIndex === 0 ? alert.reportUrl : alert.previousReportUrl;
+    if (url) chrome.tabs.create({ url });
+  }
+);
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith("regression:")) return;
+
+  const alert = await dismissRegressionAlert(notificationId);
+  chrome.notifications.clear(notificationId);
+  if (alert && alert.reportUrl) chrome.tabs.create({ url: alert.reportUrl });
+});
+
+chrome.notifications.onClosed.addListener((notificationId, byUser) => {
+  if (byUser && notificationId.startsWith("regression:")) {
+    dismissRegressionAlert(notificationId);
+  }
+});
+
+// Function to compose the captured device strips into one image
+// The bare strips are composed; the branding profile (if any) frames the result
+// Returns { deviceType: "composite", dataUrl, naming, fileDetails } or null
+async function buildCompositeImage(tab, sources, branding = null, config = CONFIG) {
+  if (sources.length < 2) {
+    console.warn("⚠️ Composite needs both devices, skipping");
+    return null;
+  }
+
+  console.log(`🧩 Building ${config.COMPOSITE_LAYOUT} composite...`);
+  const composeResults = await safeExecuteScript(
+    tab.id,
+    composeDeviceImagesInPage,
+    [
+      sources.map((source) => ({
+        label:
+          source.deviceType.charAt(0).toUpperCase() + source.deviceType.slice(1),
+        dataUrl: source.dataUrl,
+      })),
+      {
+        layout: config.COMPOSITE_LAYOUT,
+        showLabels: config.COMPOSITE_SHOW_LABELS,
+        spacing: config.COMPOSITE_SPACING_PX,
+        background: config.COMPOSITE_BACKGROUND,
+        scale: getOutputScale(config),
+      },
+    ]
+  );
+
+  if (!composeResults || !composeResults[0] || !composeResults[0].result) {
+    console.error("❌ Failed to build composite image");
+    return null;
+  }
+
+  const naming = { ...sources[0].naming, device: "composite", scores: null };
+  const scores = {};
+  for (const source of sources) {
+    scores[source.deviceType] = source.fileDetails.scores;
+  }
+  return {
+    deviceType: "composite",
+    dataUrl: await brandImage(composeResults[0].result, branding, naming, config),
+    naming,
+    fileDetails: { url: sources[0].fileDetails.url, device: "composite", scores },
+  };
+}
+
+// Function to save a built composite image with the run's files
+async function saveCompositeImage(composite, output, config = CONFIG) {
+  const filename = getCaptureFilename(
+    config,
+    composite.naming,
+    getImageFormat(config).extension
+  );
+  await saveRunFile(
+    output,
+    { filename, dataUrl: composite.dataUrl },
+    composite.fileDetails
+  );
+  console.log(`✅ Composite image saved: ${filename}`);
+  return filename;
+}
+
+// Function to write one captured image to the clipboard from the report page
+// source: a composite from buildCompositeImage or { deviceType, dataUrl }
+// Returns the sentence the summary notification adds about the clipboard
+async function copyCaptureToClipboard(tab, source, results, shouldDownload) {
+  if (!source) {
+    return null;
+  }
+
+  const label =
+    source.deviceType === "composite"
+      ? "Mobile + desktop composite"
+      : `${source.deviceType.charAt(0).toUpperCase()}${source.deviceType.slice(1)} image`;
+  const copyResults = await safeExecuteScript(tab.id, copyImageToClipboard, [
+    source.dataUrl,
+  ]);
+  const copyResult = copyResults && copyResults[0] && copyResults[0].result;
+
+  if (copyResult && copyResult.success) {
+    console.log(`📋 ${label} copied to clipboard`);
+    for (const result of results) {
+      if (
+        !result.error &&
+        (source.deviceType === "composite" || result.deviceType === source.deviceType)
+      ) {
+        result.copied = true;
+      }
+    }
+    return `📋 ${label} is on the clipboard.`;
+  }
+
+  const reason = (copyResult && copyResult.error) || "unknown error";
+  console.warn(`⚠️ Could not copy ${label} to clipboard:`, reason);
+
+  // Without downloads the clipboard was the only output
+  if (!shouldDownload) {
+    for (const result of results) {
+      if (!result.error) result.error = `Clipboard write failed: ${reason}`;
+    }
+  }
+  return `Error copying to the clipboard: ${reason}`;
+}
+
+// Function to scroll the metrics grid into view, capture and crop it, then download it
+async function captureMetricsImage(
+  tab,
+  deviceType,
+  filename,
+  output,
+  details,
+  selectors,
+  config = CONFIG
+) {
+  console.log(`📊 Capturing ${deviceType} metrics grid...`);
+  const rectResults = await safeExecuteScript(tab.id, extractLabMetrics, [
+    deviceType,
+    true,
+    config.TIGHT_PADDING_PX,
+    selectors,
   ]);
+  const metricsInfo = rectResults && rectResults[0] && rectResults[0].result;
+
+  if (!metricsInfo || !metricsInfo.found || !metricsInfo.rect) {
+    throw new Error(`Metrics grid not found for ${deviceType}`);
+  }
+
+  try {
+    // Give the page a moment to settle after scrolling
+    await new Promise((resolve) =>
+      setTimeout(resolve, config.VIEWPORT_WAIT_MS)
+    );
+
+    const dataUrl = await captureVisibleTabWithRetry(
+      tab.windowId,
+      `${deviceType} metrics`,
+      config
+    );
+    const cropResults = await safeExecuteScript(tab.id, cropScreenshotInPage, [
+      dataUrl,
+      metricsInfo,
+      getOutputScale(config),
+    ]);
+
+    if (!cropResults || !cropResults[0] || !cropResults[0].result) {
+      throw new Error(`Failed to crop ${deviceType} metrics screenshot`);
+    }
+
+    await saveRunFile(
+      output,
+      { filename, dataUrl: cropResults[0].result },
+      details
+    );
+    console.log(`✅ ${deviceType} metrics image saved: ${filename}`);
+    return filename;
+  } finally {
+    // Put the gauges back where they were for the next device
+    await safeExecuteScript(tab.id, restoreScrollPosition, [
+      metricsInfo.previousScroll.x,
+      metricsInfo.previousScroll.y,
+    ]);
+  }
 }
 
 // Function to switch between mobile and desktop views
-function switchToDeviceView(targetDeviceType, buttonStateCheckDelay = 100) {
+// selectors: the selector profile's selectors (see selector-profiles.js)
+function switchToDeviceView(targetDeviceType, buttonStateCheckDelay = 100, selectors) {
   console.log(`🔄 Attempting to switch to ${targetDeviceType} view...`);
 
   // Look for tab buttons specifically
@@ -943,9 +2378,9 @@ function switchToDeviceView(targetDeviceType, buttonStateCheckDelay = 100) {
 
   let targetButton = null;
 
-  // First, try to find buttons with specific IDs that match the pattern
+  // First, try the profile's device tab selector
   const specificButton = document.querySelector(
-    `button[id*="${targetDeviceType}"], [id*="${targetDeviceType}_tab"]`
+    selectors.deviceTab.replace(/\{device\}/g, targetDeviceType)
   );
   if (specificButton) {
     targetButton = specificButton;
@@ -955,7 +2390,7 @@ function switchToDeviceView(targetDeviceType, buttonStateCheckDelay = 100) {
     );
   }
 
-  // If not found, search through all buttons
+  // If not found, search through all buttons for a device name
   if (!targetButton) {
     for (const button of allButtons) {
       const text = (button.textContent || "").toLowerCase().trim();
@@ -1030,8 +2465,7 @@ function switchToDeviceView(targetDeviceType, buttonStateCheckDelay = 100) {
         `[aria-labelledby="${targetButton.id}"]`
       );
       if (correspondingPanel) {
-        const panelActive =
-          correspondingPanel.getAttribute("data-tab-panel-active") === "true";
+        const panelActive = correspondingPanel.matches(selectors.activePanel);
         console.log(
           `Corresponding panel is ${
             panelActive ? "now active" : "still inactive"
@@ -1051,3 +2485,999 @@ function switchToDeviceView(targetDeviceType, buttonStateCheckDelay = 100) {
     return false;
   }
 }
+
+// ========== BRANDING ==========
+
+// Function to load the branding profile the settings name, or null for bare images
+async function loadActiveBrandingProfile(config = CONFIG) {
+  if (!config.BRANDING_PROFILE) {
+    return null;
+  }
+
+  const profile = findBrandingProfile(
+    await loadBrandingProfiles(),
+    config.BRANDING_PROFILE
+  );
+  if (!profile) {
+    console.warn(
+      `⚠️ Branding profile "${config.BRANDING_PROFILE}" not found - saving bare images`
+    );
+  }
+  return profile;
+}
+
+// Function to frame an image with the run's branding profile
+// A failed overlay keeps the bare image rather than losing the capture
+async function brandImage(dataUrl, branding, details, config = CONFIG) {
+  if (!branding) {
+    return dataUrl;
+  }
+
+  try {
+    return await applyBrandingOverlay(dataUrl, branding, {
+      client: config.CLIENT_NAME,
+      ...details,
+    });
+  } catch (error) {
+    console.warn(`⚠️ Could not apply branding profile "${branding.name}":`, error);
+    return dataUrl;
+  }
+}
+
+// ========== RUN OUTPUT ==========
+// Every file a capture run produces goes through saveRunFile: it is downloaded straight
+// away, or - with "Bundle each run into one ZIP" - collected and delivered as one ZIP.
+// finishRunOutput adds the run's PDF report, if enabled, and delivers the ZIP.
+
+// Largest data URL chrome.downloads accepts (Chrome rejects URLs over 2 MB)
+const MAX_DATA_URL_LENGTH = 2 * 1024 * 1024 - 1024;
+
+// Function to start collecting the files of one run
+// bundleName: ZIP filename without extension; captures fill it in when left empty
+// settings: the configuration of the run (defaults to the active one)
+function createRunOutput(bundleName = null, settings = CONFIG) {
+  return {
+    bundleName,
+    // Settings of the run - saveRunFile encodes its images with them
+    settings,
+    files: settings.BUNDLE_ZIP ? [] : null,
+    captures: [],
+    pdfReport: settings.PDF_REPORT,
+    pdfTitle: settings.PDF_REPORT_TITLE,
+    // Folder the run-level files (the PDF report) are saved in
+    folderSettings: {
+      FOLDER_TEMPLATE: settings.FOLDER_TEMPLATE,
+      CLIENT_NAME: settings.CLIENT_NAME,
+    },
+  };
+}
+
+// Function to save one file of a run
+// file: { filename, dataUrl }, { filename, text, mimeType } or { filename, bytes, mimeType }
+// Image data URLs are encoded with the run's image output settings here, so name them
+// with getImageFormat(settings).extension
+// details: { url, device, scores } listed for the file in the bundle manifest
+async function saveRunFile(output, file, details = {}) {
+  if (file.dataUrl) {
+    file = {
+      ...file,
+      dataUrl: await encodeOutputImage(file.dataUrl, output ? output.settings : CONFIG),
+    };
+  }
+
+  if (output && output.files) {
+    output.files.push({
+      path: file.filename,
+      data: file.bytes
+        ? file.bytes
+        : file.dataUrl
+        ? dataUrlToBytes(file.dataUrl)
+        : new TextEncoder().encode(file.text),
+      url: details.url || null,
+      device: details.device || null,
+      scores: details.scores || null,
+    });
+    return file.filename;
+  }
+
+  if (file.bytes) {
+    await downloadBytes(file.bytes, file.filename, file.mimeType);
+  } else if (file.dataUrl && file.dataUrl.length > MAX_DATA_URL_LENGTH) {
+    // e.g. tall full-report images
+    const mimeType = file.dataUrl.slice(5, file.dataUrl.indexOf(";"));
+    await downloadBytes(dataUrlToBytes(file.dataUrl), file.filename, mimeType);
+  } else if (file.dataUrl) {
+    await chrome.downloads.download({
+      url: file.dataUrl,
+      filename: file.filename,
+      saveAs: false,
+    });
+  } else {
+    await downloadTextFile(file.text, file.filename, file.mimeType);
+  }
+  return file.filename;
+}
+
+// Function to remember a captured device for the bundle's scores.csv and the PDF report
+// image: the cropped gauges shown for the device in the PDF
+function recordRunCapture(output, capture, image = null) {
+  if (output) output.captures.push({ ...capture, image });
+}
+
+// Function to finish a run: save the PDF report (if enabled) and deliver a bundled
+// run as one ZIP (with manifest.json and scores.csv)
+// Returns the ZIP filename, or null when nothing was bundled
+async function finishRunOutput(output) {
+  if (!output) {
+    return null;
+  }
+
+  if (output.pdfReport && output.captures.length > 0) {
+    try {
+      await savePdfReport(output);
+    } catch (error) {
+      // The images are already saved - report the PDF failure but keep the run
+      console.error("❌ Failed to build the PDF report:", error);
+    }
+  }
+
+  if (!output.files || output.files.length === 0) {
+    return null;
+  }
+
+  const encoder = new TextEncoder();
+  const manifest = {
+    format: "pagespeed-screenshot-bundle",
+    version: 1,
+    createdAt: new Date().toISOString(),
+    files: output.files.map((file) => ({
+      path: file.path,
+      url: file.url,
+      device: file.device,
+      scores: file.scores,
+    })),
+  };
+
+  const zip = await createZip([
+    ...output.files,
+    { path: "scores.csv", data: encoder.encode(buildScoresCsv(output.captures)) },
+    { path: "manifest.json", data: encoder.encode(JSON.stringify(manifest, null, 2)) },
+  ]);
+
+  const filename = `${
+    output.bundleName || `pagespeed-capture-${formatFilenameTimestamp(new Date())}`
+  }.zip`;
+  await downloadBytes(zip, filename, "application/zip");
+  console.log(
+    `📦 Run bundled into ${filename} (${output.files.length} files, ${zip.length} bytes)`
+  );
+  return filename;
+}
+
+// Function to build the client PDF report of a run and save it with the run's files
+async function savePdfReport(output) {
+  const createdAt = new Date();
+  const domains = [...new Set(output.captures.map((capture) => capture.domain))];
+  const folder = getCaptureFolder(output.folderSettings, {
+    domain: domains.length === 1 ? domains[0] : "",
+    url: output.captures.length === 1 ? output.captures[0].url : "",
+    capturedAt: createdAt,
+  });
+  const filename = `${folder ? `${folder}/` : ""}pagespeed-client-report-${
+    domains.length === 1 ? cleanDomainForFilename(domains[0]) : "multiple-sites"
+  }-${formatFilenameTimestamp(createdAt)}.pdf`;
+
+  console.log(`📄 Building PDF report for ${output.captures.length} captures...`);
+  const bytes = await buildClientReportPdf({
+    title: output.pdfTitle,
+    createdAt,
+    captures: output.captures,
+    logo: await loadPdfLogo(),
+  });
+
+  await saveRunFile(output, { filename, bytes, mimeType: "application/pdf" }, {
+    url: output.captures[0].url,
+  });
+  console.log(`✅ PDF report saved: ${filename}`);
+  return filename;
+}
+
+// Function to write one CSV row per captured device with its scores and lab metrics
+function buildScoresCsv(captures) {
+  const escape = (value) => {
+    const text = value == null ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const header = [
+    "url",
+    "device",
+    "capturedAt",
+    ...SCORE_CATEGORIES.map((category) => category.id),
+    ...LAB_METRIC_AUDITS,
+  ];
+  const rows = captures.map((capture) => {
+    const metricValue = (id) => {
+      const metric = (capture.metrics || []).find((candidate) => candidate.id === id);
+      if (!metric) return null;
+      return metric.numericValueMs != null ? metric.numericValueMs : metric.value;
+    };
+    return [
+      capture.url,
+      capture.device,
+      new Date(capture.capturedAt).toISOString(),
+      ...SCORE_CATEGORIES.map((category) => (capture.scores || {})[category.id]),
+      ...LAB_METRIC_AUDITS.map(metricValue),
+    ];
+  });
+
+  return [header, ...rows].map((row) => row.map(escape).join(",")).join("\n") + "\n";
+}
+
+// Helper function to decode a base64 data URL into bytes
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(",") + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Helper function to base64-encode bytes without overflowing the call stack
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Function to download generated bytes with a single chrome.downloads.download call
+// Small files use a data URL; larger ones a blob: URL from the offscreen document
+async function downloadBytes(bytes, filename, mimeType) {
+  const base64 = bytesToBase64(bytes);
+  const dataUrl = `data:${mimeType};base64,${base64}`;
+  if (dataUrl.length <= MAX_DATA_URL_LENGTH) {
+    return chrome.downloads.download({ url: dataUrl, filename, saveAs: false });
+  }
+
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+  });
+  if (contexts.length === 0) {
+    await chrome.offscreen.createDocument({
+      url: "offscreen.html",
+      reasons: ["BLOBS"],
+      justification: "Create blob URLs for downloads larger than a data URL allows",
+    });
+  }
+
+  const { url } = await chrome.runtime.sendMessage({
+    target: "offscreen",
+    action: "createBlobUrl",
+    base64,
+    mimeType,
+  });
+  const downloadId = await chrome.downloads.download({ url, filename, saveAs: false });
+
+  // Free the blob once Chrome has finished writing the file
+  const listener = (delta) => {
+    if (delta.id !== downloadId || !delta.state || delta.state.current === "in_progress") {
+      return;
+    }
+    chrome.downloads.onChanged.removeListener(listener);
+    chrome.runtime
+      .sendMessage({ target: "offscreen", action: "revokeBlobUrl", url })
+      .catch(() => {});
+  };
+  chrome.downloads.onChanged.addListener(listener);
+  return downloadId;
+}
+
+// ========== API CAPTURE MODE ==========
+// Runs Lighthouse through the PageSpeed Insights API and draws the gauges itself,
+// so no PageSpeed Insights tab (and none of its class names) is involved
+
+// Function to run an API capture started from the popup and report back in the tab
+async function handleApiCaptureRequest(tab, testedUrl, plan) {
+  const notifyTab = (message) =>
+    safeExecuteScript(tab.id, showNotification, [
+      message,
+      CONFIG.NOTIFICATION_DURATION_MS,
+    ]).catch((error) => console.warn("Could not show notification:", error));
+
+  if (!testedUrl || !/^https?:/.test(testedUrl)) {
+    console.warn("❌ API mode needs an http(s) page to test. Current URL:", tab.url);
+    await notifyTab("Open the page you want to test (or its PageSpeed Insights report) first.");
+    return;
+  }
+
+  await notifyTab(`⏳ Running PageSpeed Insights for ${testedUrl}...`);
+
+  try {
+    const results = await captureFromApi(testedUrl, plan);
+    await notifyTab(
+      summarizeCaptureResults(results, normalizeCapturePlan(plan).devices.length)
+    );
+  } catch (error) {
+    console.error("❌ API capture failed:", error);
+    await notifyTab(`Error capturing screenshot: ${error.message}`);
+  }
+}
+
+// Function to capture the plan's devices for a URL from the PageSpeed Insights API:
+// stores each Lighthouse result JSON and renders the score gauges as images
+// context.configOverrides: settings that apply to this run only (scheduled runs)
+// context.output: the run output of a batch - otherwise this capture is its own run
+// context.index / context.total: position of the URL in a batch, for the {index} token
+async function captureFromApi(url, plan = DEFAULT_CAPTURE_PLAN, context = {}) {
+  const capturePlan = normalizeCapturePlan(plan);
+  const results = [];
+
+  // The run keeps its own copy of the settings - later refreshes of CONFIG don't reach it
+  const runConfig = { ...(await refreshConfig()), ...context.configOverrides };
+  const output = context.output || createRunOutput(null, runConfig);
+  const branding = await loadActiveBrandingProfile(runConfig);
+  const imageExtension = getImageFormat(runConfig).extension;
+  // The worker has no display - "match the display" draws at 2x like a retina capture
+  const gaugeScale = getOutputScale(runConfig) || 2;
+
+  console.log(`🛰️ Starting API capture of ${url}...`, capturePlan);
+  if (capturePlan.outputMode !== "download") {
+    console.warn("⚠️ API captures are downloaded - the clipboard needs a page to write from");
+  }
+  if (runConfig.COMPOSITE_MODE !== "off" || runConfig.FULL_REPORT_CAPTURE || runConfig.CAPTURE_METRICS_IMAGE) {
+    console.warn(
+      "⚠️ Composite, full report and metrics images need the page mode - skipped"
+    );
+  }
+
+  for (const deviceType of capturePlan.devices) {
+    try {
+      console.log(`🛰️ Requesting ${deviceType} Lighthouse result...`);
+      const lhr = await fetchLighthouseResult(url, deviceType, {
+        endpoint: runConfig.PSI_API_ENDPOINT,
+        apiKey: runConfig.PSI_API_KEY,
+        categories: capturePlan.categories,
+        timeoutMs: runConfig.PSI_API_TIMEOUT_MS,
+      });
+
+      const scoreInfo = getScoresFromLighthouseResult(lhr);
+      const metricsInfo = runConfig.CAPTURE_LAB_METRICS
+        ? getLabMetricsFromLighthouseResult(lhr)
+        : { found: false, metrics: [] };
+      console.log(`✅ ${deviceType} scores:`, scoreInfo.scores);
+
+      // Named and keyed like a page mode capture of the same URL
+      const tested = parseTestedUrl(lhr.requestedUrl || url);
+      const testedUrl = tested ? tested.url : lhr.requestedUrl || url;
+      const domain = tested ? tested.domain : "pagespeed-result";
+      const capturedAt = new Date();
+      const reportUrl = buildAnalysisUrl(testedUrl);
+
+      // Gauges in the order picked in the plan, as far as the result has them
+      const gauges = scoreInfo.categories.filter((category) =>
+        capturePlan.categories.includes(category.id)
+      );
+      gauges.sort(
+        (a, b) =>
+          capturePlan.categories.indexOf(a.id) - capturePlan.categories.indexOf(b.id)
+      );
+      if (gauges.length === 0) {
+        throw new Error("The Lighthouse result has none of the selected categories");
+      }
+
+      const savedFiles = [];
+      const fileDetails = { url: testedUrl, device: deviceType, scores: scoreInfo.scores };
+      if (!output.bundleName) {
+        output.bundleName = `pagespeed-capture-${cleanDomainForFilename(
+          domain
+        )}-${formatFilenameTimestamp(capturedAt)}`;
+      }
+
+      // Everything the filename and folder templates can use for this device
+      const naming = {
+        domain,
+        url: testedUrl,
+        device: deviceType,
+        scores: scoreInfo.scores,
+        capturedAt,
+        index: context.index,
+        total: context.total,
+      };
+
+      // The raw Lighthouse result, for anyone who wants more than the gauges
+      const lhrFilename = getCaptureFilename(runConfig, { ...naming, type: "lhr" }, "json");
+      await saveRunFile(
+        output,
+        { filename: lhrFilename, text: JSON.stringify(lhr), mimeType: "application/json" },
+        fileDetails
+      );
+      savedFiles.push(lhrFilename);
+
+      const filename = getCaptureFilename(runConfig, naming, imageExtension);
+      const imageDataUrl = await canvasToDataUrl(
+        renderScoreGauges(gauges, { scale: gaugeScale })
+      );
+
+      if (runConfig.CROP_MODE !== "per-category") {
+        await saveRunFile(
+          output,
+          {
+            filename,
+            dataUrl: await brandImage(imageDataUrl, branding, naming, runConfig),
+          },
+          fileDetails
+        );
+        savedFiles.push(filename);
+        console.log(`✅ ${deviceType} gauges saved: ${filename}`);
+      }
+
+      const categoryImages = {};
+      if (runConfig.CROP_MODE !== "combined") {
+        for (const gauge of gauges) {
+          const categoryFilename = getCaptureFilename(
+            runConfig,
+            { ...naming, category: gauge.id },
+            imageExtension
+          );
+          await saveRunFile(
+            output,
+            {
+              filename: categoryFilename,
+              dataUrl: await brandImage(
+                await canvasToDataUrl(renderScoreGauges([gauge], { scale: gaugeScale })),
+                branding,
+                { ...naming, category: gauge.id },
+                runConfig
+              ),
+            },
+            fileDetails
+          );
+          categoryImages[gauge.id] = categoryFilename;
+          savedFiles.push(categoryFilename);
+        }
+      }
+
+      if (runConfig.WRITE_JSON_SIDECAR) {
+        const sidecarFilename = filename.replace(/\.\w+$/, ".json");
+        const sidecar = {
+          testedUrl: testedUrl,
+          finalUrl: lhr.finalDisplayedUrl || lhr.finalUrl || testedUrl,
+          domain: domain,
+          device: deviceType,
+          scores: scoreInfo.scores,
+          categories: scoreInfo.categories,
+          metrics: metricsInfo.metrics,
+          reportUrl: reportUrl,
+          capturedAt: capturedAt.toISOString(),
+          image: runConfig.CROP_MODE !== "per-category" ? filename : null,
+          categoryImages: categoryImages,
+          metricsImage: null,
+          fullReportImage: null,
+          lighthouseResult: lhrFilename,
+          lighthouseVersion: lhr.lighthouseVersion || null,
+        };
+
+        await saveRunFile(
+          output,
+          {
+            filename: sidecarFilename,
+            text: JSON.stringify(sidecar, null, 2),
+            mimeType: "application/json",
+          },
+          fileDetails
+        );
+        savedFiles.push(sidecarFilename);
+      }
+
+      const historyRecord = {
+        url: normalizePageUrl(testedUrl),
+        domain: domain,
+        device: deviceType,
+        scores: scoreInfo.scores,
+        metrics: metricsInfo.metrics,
+        capturedAt: capturedAt.getTime(),
+        reportUrl: reportUrl,
+        files: savedFiles,
+      };
+
+      recordRunCapture(output, historyRecord, imageDataUrl);
+
+      if (runConfig.REGRESSION_ALERTS) {
+        await checkForRegression(historyRecord, runConfig);
+      }
+
+      if (runConfig.SAVE_HISTORY) {
+        const thumbnailScale =
+          HISTORY_THUMBNAIL_WIDTH / (GAUGE_TILE.width * gauges.length);
+        await saveCaptureToHistory(
+          historyRecord,
+          await canvasToDataUrl(renderScoreGauges(gauges, { scale: thumbnailScale }))
+        );
+      }
+
+      results.push({
+        deviceType,
+        filename: runConfig.CROP_MODE !== "per-category" ? filename : null,
+        files: savedFiles,
+        copied: false,
+        scores: scoreInfo.scores,
+        metrics: metricsInfo.metrics,
+      });
+    } catch (error) {
+      console.error(`❌ Failed to capture ${deviceType} from the API:`, error);
+      results.push({ deviceType, error: error.message });
+    }
+  }
+
+  // A capture on its own is delivered now; batches deliver once every URL is done
+  if (!context.output) {
+    await finishRunOutput(output);
+  }
+
+  return results;
+}
+
+// ========== BATCH MODE ==========
+// Runs PageSpeed Insights for a list of URLs and captures each report in turn
+
+// chrome.storage.session key holding the progress of the current/last batch
+const BATCH_STATE_STORAGE_KEY = "batchState";
+
+let batchRunning = false;
+// Aborted when the batch page asks to cancel; only the batch's own waits listen to it
+let batchAbortController = null;
+
+// Function to build the PageSpeed Insights analysis URL for a page
+function buildAnalysisUrl(url) {
+  return `https://pagespeed.web.dev/analysis?url=${encodeURIComponent(url)}`;
+}
+
+// Function to wait for a tab's next navigation to finish loading
+function waitForTabComplete(tabId) {
+  return new Promise((resolve) => {
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === "complete") {
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+// Function to build the error of a new analysis that did not finish in time
+function createReportTimeoutError(config = CONFIG) {
+  return new Error(
+    `Timed out after ${Math.round(
+      config.BATCH_REPORT_TIMEOUT_MS / 1000
+    )}s waiting for the report`
+  );
+}
+
+// Function to settle with a promise, or fail once the deadline passes or the signal
+// aborts - whichever comes first
+function withReportWaitLimits(promise, deadline, signal, config = CONFIG) {
+  if (signal && signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const settle = (callback) => (value) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+      callback(value);
+    };
+    const onAbort = () => settle(reject)(signal.reason);
+    const timer = setTimeout(
+      () => settle(reject)(createReportTimeoutError(config)),
+      Math.max(deadline - Date.now(), 0)
+    );
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+    promise.then(settle(resolve), settle(reject));
+  });
+}
+
+// Function to ask the report watcher to reply once a device report - or without a
+// deviceType, the one shown - has settled
+// The request is lost when the tab navigates (e.g. the analysis redirect): it is sent
+// again once the new page has loaded
+async function waitForSettledReport(tabId, deviceType, deadline, signal, config = CONFIG) {
+  let failedOnLoadedPage = false;
+  while (true) {
+    let reply;
+    try {
+      reply = await withReportWaitLimits(
+        sendReportWatcherMessage(tabId, {
+          action: "waitForReportState",
+          deviceType,
+          timeoutMs: Math.max(deadline - Date.now(), 0),
+          quietMs: config.REPORT_SETTLE_QUIET_MS,
+        }),
+        deadline,
+        signal,
+        config
+      );
+    } catch (error) {
+      if ((signal && signal.aborted) || Date.now() >= deadline) {
+        throw error;
+      }
+
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.status === "loading") {
+        failedOnLoadedPage = false;
+        await withReportWaitLimits(waitForTabComplete(tabId), deadline, signal, config);
+      } else if (failedOnLoadedPage) {
+        throw error;
+      } else {
+        failedOnLoadedPage = true;
+      }
+      continue;
+    }
+
+    if (reply.error) {
+      throw new Error(`PageSpeed Insights error: ${reply.error}`);
+    }
+    if (!reply.reached) {
+      throw createReportTimeoutError(config);
+    }
+    return reply;
+  }
+}
+
+// Function to wait until every requested device of a new analysis has scores
+// The report watcher replies as soon as a report has settled - nothing is polled
+// signal: optional AbortSignal that stops the wait (e.g. a cancelled batch)
+async function waitForReportReady(tabId, deviceTypes, signal = null, config = CONFIG) {
+  const deadline = Date.now() + config.BATCH_REPORT_TIMEOUT_MS;
+  const hasScores = (reply, deviceType) =>
+    ["rendered", "settled"].includes(reply.devices[deviceType].state);
+
+  // The first report PSI shows, whichever device it is
+  let reply = await waitForSettledReport(tabId, null, deadline, signal, config);
+
+  for (const deviceType of deviceTypes) {
+    if (hasScores(reply, deviceType)) continue;
+
+    // PSI may only render a device panel once its tab has been opened
+    await safeExecuteScript(tabId, switchToDeviceView, [
+      deviceType,
+      config.BUTTON_STATE_CHECK_DELAY_MS,
+      getSelectorProfile(reply.profileId).selectors,
+    ]);
+    reply = await waitForSettledReport(tabId, deviceType, deadline, signal, config);
+  }
+  console.log("✅ Report ready:", reply.devices);
+}
+
+// Function to open the analysis for one URL in the given tab and capture it
+// context: passed on to captureBothScreenshots (configOverrides, output)
+// context.signal: AbortSignal that stops the wait for the page and the report
+async function runPageSpeedAndCapture(url, plan, tabId, context = {}) {
+  console.log(`🌐 Running PageSpeed Insights for ${url}...`);
+  // Batches and schedules may time their waits differently from the settings
+  const runConfig = { ...CONFIG, ...context.configOverrides };
+
+  const loaded = waitForTabComplete(tabId);
+  await chrome.tabs.update(tabId, { url: buildAnalysisUrl(url) });
+  await withReportWaitLimits(
+    loaded,
+    Date.now() + runConfig.BATCH_REPORT_TIMEOUT_MS,
+    context.signal,
+    runConfig
+  );
+
+  await waitForReportReady(tabId, plan.devices, context.signal, runConfig);
+
+  const tab = await chrome.tabs.get(tabId);
+  return captureBothScreenshots(tab, plan, { ...context, testedUrl: url });
+}
+
+// Function to store the batch progress and tell any open batch page about it
+async function publishBatchState(state) {
+  await chrome.storage.session.set({ [BATCH_STATE_STORAGE_KEY]: state });
+  chrome.runtime
+    .sendMessage({ action: "batchProgress", state })
+    .catch(() => {
+      // No batch page open - the state is still in chrome.storage.session
+    });
+}
+
+// Function to run the capture pipeline for every URL in the list, one at a time
+// options.configOverrides: settings that apply to this batch only
+// options.bundleName: name of the batch ZIP when files are bundled
+async function runBatch(urls, plan, options = {}) {
+  batchRunning = true;
+  batchAbortController = new AbortController();
+  const { signal } = batchAbortController;
+  await refreshConfig();
+  const batchConfig = { ...CONFIG, ...options.configOverrides };
+  const useApi = batchConfig.CAPTURE_SOURCE === "api";
+
+  // With bundling on, the whole batch becomes one ZIP
+  const output = createRunOutput(
+    options.bundleName || `pagespeed-batch-${formatFilenameTimestamp(new Date())}`,
+    batchConfig
+  );
+
+  // Unattended runs always download - the clipboard would only keep the last image
+  const capturePlan = { ...normalizeCapturePlan(plan), outputMode: "download" };
+
+  const state = {
+    status: "running",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    plan: capturePlan,
+    items: urls.map((url) => ({
+      url,
+      status: "queued",
+      error: null,
+      files: [],
+      scores: {},
+    })),
+  };
+  await publishBatchState(state);
+  console.log(`📋 Starting batch of ${urls.length} URLs...`, capturePlan);
+
+  // captureVisibleTab needs the tab to be the active one in its window,
+  // so the batch gets its own window that the user can leave in the background.
+  // The API mode needs no tab at all.
+  let batchWindow = null;
+  try {
+    if (!useApi) {
+      batchWindow = await chrome.windows.create({
+        url: "about:blank",
+        focused: false,
+        width: batchConfig.VIEWPORT_WIDTH,
+        height: batchConfig.VIEWPORT_HEIGHT,
+      });
+    }
+    const tabId = batchWindow && batchWindow.tabs[0].id;
+
+    for (const [itemIndex, item] of state.items.entries()) {
+      if (signal.aborted) {
+        item.status = "skipped";
+        continue;
+      }
+
+      item.status = "running";
+      await publishBatchState(state);
+
+      try {
+        const context = {
+          configOverrides: options.configOverrides,
+          output,
+          index: itemIndex + 1,
+          total: state.items.length,
+          signal,
+        };
+        const results = useApi
+          ? await captureFromApi(item.url, capturePlan, context)
+          : await runPageSpeedAndCapture(item.url, capturePlan, tabId, context);
+        const succeeded = results.filter((result) => !result.error);
+        const failed = results.filter((result) => result.error);
+
+        item.files = succeeded.flatMap((result) => result.files);
+        for (const result of succeeded) {
+          item.scores[result.deviceType] = result.scores;
+        }
+        item.error =
+          failed.map((result) => `${result.deviceType}: ${result.error}`).join("; ") ||
+          (succeeded.length === 0 ? "No scores found on the report" : null);
+        item.status = succeeded.length > 0 ? "done" : "failed";
+      } catch (error) {
+        console.error(`❌ Batch item failed (${item.url}):`, error);
+        item.status = "failed";
+        item.error = error.message;
+      }
+
+      await publishBatchState(state);
+    }
+  } finally {
+    if (batchWindow) {
+      await chrome.windows.remove(batchWindow.id).catch(() => {});
+    }
+
+    // Deliver whatever was captured, even when the batch was cancelled part-way
+    try {
+      state.bundle = await finishRunOutput(output);
+    } catch (error) {
+      console.error("❌ Failed to build the batch ZIP:", error);
+      state.bundleError = error.message;
+    }
+
+    state.status = signal.aborted ? "cancelled" : "finished";
+    state.finishedAt = new Date().toISOString();
+    batchRunning = false;
+    batchAbortController = null;
+    await publishBatchState(state);
+  }
+
+  const doneCount = state.items.filter((item) => item.status === "done").length;
+  console.log(`🏁 Batch ${state.status}: ${doneCount}/${state.items.length} captured`);
+  return state;
+}
+
+// ========== SCHEDULED CAPTURES ==========
+// Saved schedules (schedules.html) re-run a URL set on a cadence via chrome.alarms
+
+// How long to wait before retrying a schedule that fired while a batch was running
+const SCHEDULE_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+// Function to make the alarms match the saved schedules
+async function syncScheduleAlarms() {
+  const schedules = await loadSchedules();
+  const alarms = await chrome.alarms.getAll();
+
+  for (const alarm of alarms) {
+    if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) continue;
+    const id = alarm.name.slice(SCHEDULE_ALARM_PREFIX.length);
+    const schedule = schedules.find((candidate) => candidate.id === id);
+    if (!schedule || !schedule.enabled) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+
+  for (const schedule of schedules) {
+    if (!schedule.enabled) continue;
+
+    const name = `${SCHEDULE_ALARM_PREFIX}${schedule.id}`;
+    const existing = alarms.find((alarm) => alarm.name === name);
+    if (!existing || existing.scheduledTime !== schedule.nextRunAt) {
+      // A time in the past (missed while Chrome was closed) fires straight away
+      await chrome.alarms.create(name, { when: schedule.nextRunAt });
+      console.log(
+        `⏰ Schedule "${schedule.name}" next runs at ${new Date(
+          schedule.nextRunAt
+        ).toLocaleString()}`
+      );
+    }
+  }
+}
+
+// Function to update one saved schedule in place
+async function updateSchedule(scheduleId, changes) {
+  const schedules = await loadSchedules();
+  const schedule = schedules.find((candidate) => candidate.id === scheduleId);
+  if (!schedule) return null;
+
+  Object.assign(schedule, changes);
+  await saveSchedules(schedules);
+  return schedule;
+}
+
+// Function to run a saved schedule and record the outcome in the run log
+async function runScheduledCapture(scheduleId, options = {}) {
+  const schedules = await loadSchedules();
+  const schedule = schedules.find((candidate) => candidate.id === scheduleId);
+
+  if (!schedule) {
+    console.warn(`⚠️ Schedule ${scheduleId} no longer exists`);
+    await chrome.alarms.clear(`${SCHEDULE_ALARM_PREFIX}${scheduleId}`);
+    return;
+  }
+  if (!schedule.enabled && !options.manual) {
+    return;
+  }
+
+  const startedAt = new Date();
+
+  // Only one batch can use the capture window at a time
+  if (batchRunning) {
+    console.warn(`⏸️ Batch running, postponing schedule "${schedule.name}"`);
+    await recordScheduleRun({
+      scheduleId,
+      scheduleName: schedule.name,
+      startedAt: startedAt.toISOString(),
+      finishedAt: startedAt.toISOString(),
+      status: "postponed",
+      error: "Another batch was running",
+      items: [],
+    });
+    if (!options.manual) {
+      await updateSchedule(scheduleId, {
+        nextRunAt: Date.now() + SCHEDULE_RETRY_DELAY_MS,
+      });
+    }
+    return;
+  }
+
+  // Move the schedule on first, so re-syncing alarms mid-run can't fire it again
+  if (!options.manual) {
+    await updateSchedule(scheduleId, {
+      nextRunAt: computeNextRunAt(schedule, new Date()),
+    });
+  }
+
+  console.log(`⏰ Running schedule "${schedule.name}"...`);
+  let state = null;
+  let runError = null;
+  try {
+    const { config: configOverrides } = validateConfig(
+      schedule.outputOverrides || {}
+    );
+    state = await runBatch(
+      schedule.urls,
+      {
+        devices: schedule.devices,
+        categories: schedule.categories,
+        outputMode: "download",
+      },
+      {
+        configOverrides,
+        bundleName: `pagespeed-schedule-${cleanDomainForFilename(
+          schedule.name.toLowerCase()
+        )}-${formatFilenameTimestamp(new Date())}`,
+      }
+    );
+  } catch (error) {
+    console.error(`❌ Schedule "${schedule.name}" failed:`, error);
+    runError = error.message;
+  }
+
+  const items = state
+    ? state.items.map((item) => ({
+        url: item.url,
+        status: item.status,
+        error: item.error,
+        scores: item.scores,
+      }))
+    : [];
+  const failedCount = items.filter((item) => item.status !== "done").length;
+  const status = runError
+    ? "failed"
+    : failedCount === 0
+    ? "success"
+    : failedCount === items.length
+    ? "failed"
+    : "partial";
+
+  await recordScheduleRun({
+    scheduleId,
+    scheduleName: schedule.name,
+    manual: Boolean(options.manual),
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    status,
+    error: runError,
+    items,
+  });
+
+  await updateSchedule(scheduleId, {
+    lastRunAt: startedAt.getTime(),
+    lastStatus: status,
+  });
+  console.log(`🏁 Schedule "${schedule.name}" finished: ${status}`);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+    runScheduledCapture(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length)).catch(
+      (error) => console.error("❌ Scheduled capture failed:", error)
+    );
+  }
+});
+
+// Saving schedules (from the page or after a run) re-arms the alarms
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[SCHEDULES_STORAGE_KEY]) {
+    syncScheduleAlarms().catch((error) =>
+      console.error("❌ Failed to sync schedule alarms:", error)
+    );
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  syncScheduleAlarms();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  syncScheduleAlarms();
+  createContextMenus().catch((error) =>
+    console.error("❌ Failed to create the context menus:", error)
+  );
+});
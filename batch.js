@@ -0,0 +1,166 @@
+// Batch page for PageSpeed Insights Screenshot Extension
+// Collects a URL list and shows the progress of the batch run in the background worker
+
+const urlsInput = document.getElementById("urls");
+const urlFileInput = document.getElementById("url-file");
+const startButton = document.getElementById("start");
+const cancelButton = document.getElementById("cancel");
+const statusElement = document.getElementById("status");
+const progressTable = document.getElementById("progress");
+
+// Capture source from the settings, kept current for the start button
+let captureSource = DEFAULT_CONFIG.CAPTURE_SOURCE;
+
+// Function to show a status message above the progress table
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.classList.toggle("error", isError);
+}
+
+// Function to show the batch state in the progress table
+function renderState(state) {
+  if (!state) return;
+
+  const running = state.status === "running";
+  startButton.disabled = running;
+  cancelButton.disabled = !running;
+
+  const tbody = progressTable.querySelector("tbody");
+  tbody.textContent = "";
+  progressTable.hidden = state.items.length === 0;
+
+  state.items.forEach((item, index) => {
+    const row = document.createElement("tr");
+
+    const scores = Object.entries(item.scores || {})
+      .map(
+        ([deviceType, deviceScores]) =>
+          `${deviceType}: ${
+            deviceScores && deviceScores.performance != null
+              ? deviceScores.performance
+              : "–"
+          }`
+      )
+      .join(", ");
+
+    const details = item.error || (item.files || []).join("\n");
+
+    for (const [className, text] of [
+      ["", String(index + 1)],
+      ["url", item.url],
+      [`status-${item.status}`, item.status],
+      ["", scores],
+      ["", details],
+    ]) {
+      const cell = document.createElement("td");
+      cell.className = className;
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+
+    tbody.appendChild(row);
+  });
+
+  const counts = { done: 0, failed: 0, skipped: 0 };
+  for (const item of state.items) {
+    if (item.status in counts) counts[item.status]++;
+  }
+  const processed = counts.done + counts.failed + counts.skipped;
+
+  if (running) {
+    showStatus(`⏳ Running: ${processed}/${state.items.length} processed...`);
+  } else {
+    showStatus(
+      `🏁 Batch ${state.status}: ${counts.done} captured, ${counts.failed} failed${
+        counts.skipped ? `, ${counts.skipped} skipped` : ""
+      } of ${state.items.length} URLs.${state.bundle ? ` Saved as ${state.bundle}.` : ""}${
+        state.bundleError ? ` ZIP failed: ${state.bundleError}` : ""
+      }`,
+      counts.failed > 0 || Boolean(state.bundleError)
+    );
+  }
+}
+
+urlFileInput.addEventListener("change", async () => {
+  const file = urlFileInput.files[0];
+  if (!file) return;
+
+  const text = await file.text();
+  urlsInput.value = urlsInput.value ? `${urlsInput.value.trim()}\n${text}` : text;
+  urlFileInput.value = "";
+});
+
+startButton.addEventListener("click", async () => {
+  const { urls, invalid } = parseUrlList(urlsInput.value);
+  if (urls.length === 0) {
+    showStatus("❌ Add at least one URL.", true);
+    return;
+  }
+  if (invalid.length > 0) {
+    showStatus(`❌ Not valid URLs: ${invalid.join(", ")}`, true);
+    return;
+  }
+
+  const devices = Array.from(
+    document.querySelectorAll('input[name="devices"]:checked'),
+    (input) => input.value
+  );
+  if (devices.length === 0) {
+    showStatus("❌ Pick at least one device.", true);
+    return;
+  }
+
+  // Capturing a background window needs access to all sites - the API mode captures
+  // no window (the setting is read at page load, so the click still counts as a gesture)
+  const granted =
+    captureSource === "api" ||
+    (await chrome.permissions.request({ origins: ["<all_urls>"] }));
+  if (!granted) {
+    showStatus("❌ Batch capture needs permission to capture the batch window.", true);
+    return;
+  }
+
+  const plan = await saveCapturePlan({ ...(await loadCapturePlan()), devices });
+  const response = await chrome.runtime.sendMessage({
+    action: "startBatch",
+    urls,
+    plan,
+  });
+
+  if (!response || !response.started) {
+    showStatus(`❌ ${(response && response.error) || "Could not start batch"}`, true);
+  }
+});
+
+cancelButton.addEventListener("click", async () => {
+  await chrome.runtime.sendMessage({ action: "cancelBatch" });
+  showStatus("⏹️ Cancelling - a capture already under way finishes first...");
+});
+
+chrome.runtime.onMessage.addListener((request) => {
+  if (request.action === "batchProgress") {
+    renderState(request.state);
+  }
+});
+
+// Restore the device choice and any batch that is running or just finished
+loadCapturePlan().then((plan) => {
+  for (const input of document.querySelectorAll('input[name="devices"]')) {
+    input.checked = plan.devices.includes(input.value);
+  }
+});
+chrome.storage.session.get("batchState").then((stored) => {
+  renderState(stored.batchState);
+});
+
+// Function to read the capture source the next batch will use
+async function refreshCaptureSource() {
+  captureSource = (await loadConfig()).CAPTURE_SOURCE;
+}
+
+refreshCaptureSource();
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "sync" && changes[SETTINGS_STORAGE_KEY]) {
+    refreshCaptureSource();
+  }
+});
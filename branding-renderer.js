@@ -0,0 +1,138 @@
+// Branding overlay for PageSpeed Insights Screenshot Extension
+// Frames a captured image with a caption band, padding, background and logo
+// (a branding profile, see branding-store.js). Uses OffscreenCanvas, so it runs in
+// the background service worker (importScripts) and on the branding page.
+
+// Font for captions; the service worker has no web fonts
+const BRANDING_CAPTION_FONT = "Arial, Helvetica, sans-serif";
+
+// Function to work out the caption tokens for one image
+// details: { domain, url, device, scores, capturedAt: Date, client }
+function buildCaptionTokens(details) {
+  const capturedAt = details.capturedAt || new Date();
+  const device = details.device === "composite" ? "mobile & desktop" : details.device || "";
+  const performance = details.scores ? details.scores.performance : null;
+
+  return {
+    url: details.url || details.domain || "",
+    domain: (details.domain || "").replace(/^www\./, ""),
+    device: device.charAt(0).toUpperCase() + device.slice(1),
+    date: capturedAt.toLocaleDateString(undefined, {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    }),
+    time: capturedAt.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" }),
+    performance: performance == null ? "" : String(performance),
+    client: details.client || "",
+  };
+}
+
+// Function to fill in a caption; unknown tokens are left as typed
+function renderCaption(template, tokens) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in tokens ? tokens[name] : match
+  );
+}
+
+// Function to decode an image data URL into an ImageBitmap
+async function loadImageBitmap(dataUrl) {
+  return createImageBitmap(await (await fetch(dataUrl)).blob());
+}
+
+// Function to draw the branding profile around an image
+// Returns a PNG data URL. The caption band grows to fit a logo placed on the same
+// edge; a logo on the other edge is laid over the image corner as a watermark.
+async function applyBrandingOverlay(dataUrl, profile, details) {
+  const image = await loadImageBitmap(dataUrl);
+  const logo = profile.logo ? await loadImageBitmap(profile.logo) : null;
+  const padding = profile.padding;
+
+  const lines =
+    profile.captionPosition === "none"
+      ? []
+      : renderCaption(profile.caption, buildCaptionTokens(details))
+          .split("\n")
+          .map((line) => line.trim())
+          .filter(Boolean);
+  const lineHeight = Math.round(profile.captionSize * 1.4);
+  const font = `${profile.captionSize}px ${BRANDING_CAPTION_FONT}`;
+
+  const logoHeight = logo ? profile.logoHeight : 0;
+  const logoWidth = logo ? Math.round((logo.width * logoHeight) / logo.height) : 0;
+  const logoOnTop = profile.logoPosition.startsWith("top");
+  const logoOnLeft = profile.logoPosition.endsWith("left");
+  const logoInBand =
+    logo &&
+    lines.length > 0 &&
+    (profile.captionPosition === "header") === logoOnTop;
+
+  // Measure the caption to size the canvas
+  const measure = new OffscreenCanvas(1, 1).getContext("2d");
+  measure.font = font;
+  const textWidth = Math.ceil(
+    Math.max(0, ...lines.map((line) => measure.measureText(line).width))
+  );
+  const logoSpace = logoInBand ? logoWidth + padding : 0;
+
+  const bandContentHeight = Math.max(
+    lines.length * lineHeight,
+    logoInBand ? logoHeight : 0
+  );
+  const bandHeight = lines.length > 0 ? bandContentHeight + padding : 0;
+  const width = Math.max(image.width, textWidth + logoSpace) + padding * 2;
+  const height = image.height + bandHeight + padding * 2;
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = profile.background;
+  ctx.fillRect(0, 0, width, height);
+
+  const imageTop = padding + (profile.captionPosition === "header" ? bandHeight : 0);
+  ctx.drawImage(image, Math.round((width - image.width) / 2), imageTop);
+
+  // Caption band: header above the image, footer below it
+  const bandTop =
+    profile.captionPosition === "header" ? padding : imageTop + image.height + padding;
+  if (lines.length > 0) {
+    const textLeft = padding + (logoInBand && logoOnLeft ? logoSpace : 0);
+    const textRight = width - padding - (logoInBand && !logoOnLeft ? logoSpace : 0);
+    const x =
+      profile.captionAlign === "center"
+        ? (textLeft + textRight) / 2
+        : profile.captionAlign === "right"
+        ? textRight
+        : textLeft;
+    let y = bandTop + (bandContentHeight - lines.length * lineHeight) / 2;
+
+    ctx.font = font;
+    ctx.fillStyle = profile.captionColor;
+    ctx.textAlign = profile.captionAlign;
+    ctx.textBaseline = "top";
+    for (const line of lines) {
+      ctx.fillText(line, x, y + (lineHeight - profile.captionSize) / 2);
+      y += lineHeight;
+    }
+  }
+
+  if (logo) {
+    let logoTop = logoOnTop ? padding : height - padding - logoHeight;
+    if (logoInBand) {
+      // Centre the logo in the caption band
+      logoTop = bandTop + (bandContentHeight - logoHeight) / 2;
+    }
+    ctx.globalAlpha = profile.logoOpacity / 100;
+    ctx.drawImage(
+      logo,
+      logoOnLeft ? padding : width - padding - logoWidth,
+      logoTop,
+      logoWidth,
+      logoHeight
+    );
+    ctx.globalAlpha = 1;
+    logo.close();
+  }
+  image.close();
+
+  return canvasToDataUrl(canvas);
+}
@@ -0,0 +1,104 @@
+// Shared branding profile storage for PageSpeed Insights Screenshot Extension
+// Loaded by the background service worker (importScripts), the branding page and
+// the options page
+
+// chrome.storage.local key for the saved profiles (logos are data URLs - too big
+// for chrome.storage.sync)
+const BRANDING_PROFILES_STORAGE_KEY = "brandingProfiles";
+
+// Largest logo accepted for a profile
+const MAX_BRANDING_LOGO_BYTES = 512 * 1024;
+
+const BRANDING_CAPTION_POSITIONS = [
+  { id: "header", label: "Header (above the image)" },
+  { id: "footer", label: "Footer (below the image)" },
+  { id: "none", label: "No caption" },
+];
+
+const BRANDING_CAPTION_ALIGNMENTS = [
+  { id: "left", label: "Left" },
+  { id: "center", label: "Centre" },
+  { id: "right", label: "Right" },
+];
+
+const BRANDING_LOGO_POSITIONS = [
+  { id: "top-left", label: "Top left" },
+  { id: "top-right", label: "Top right" },
+  { id: "bottom-left", label: "Bottom left" },
+  { id: "bottom-right", label: "Bottom right" },
+];
+
+// Values a new profile starts with; sizes are in image pixels
+const DEFAULT_BRANDING_PROFILE = {
+  name: "",
+  caption: "{url}\n{device} · {date}",
+  captionPosition: "footer",
+  captionAlign: "left",
+  captionSize: 22,
+  captionColor: "#202124",
+  logo: null,
+  logoPosition: "bottom-right",
+  logoHeight: 48,
+  logoOpacity: 100,
+  padding: 16,
+  background: "#ffffff",
+};
+
+// Function to check a profile from the branding page before it is saved
+function validateBrandingProfile(profile) {
+  const errors = [];
+  const inRange = (value, min, max) =>
+    Number.isInteger(value) && value >= min && value <= max;
+
+  if (!profile.name || !profile.name.trim()) {
+    errors.push("Give the profile a name");
+  }
+  if (!BRANDING_CAPTION_POSITIONS.some((position) => position.id === profile.captionPosition)) {
+    errors.push("Pick a caption position");
+  }
+  if (!BRANDING_CAPTION_ALIGNMENTS.some((align) => align.id === profile.captionAlign)) {
+    errors.push("Pick a caption alignment");
+  }
+  if (!BRANDING_LOGO_POSITIONS.some((position) => position.id === profile.logoPosition)) {
+    errors.push("Pick a logo position");
+  }
+  if (!inRange(profile.captionSize, 8, 96)) {
+    errors.push("Caption size must be between 8 and 96");
+  }
+  if (!inRange(profile.logoHeight, 8, 400)) {
+    errors.push("Logo height must be between 8 and 400");
+  }
+  if (!inRange(profile.logoOpacity, 0, 100)) {
+    errors.push("Logo opacity must be between 0 and 100");
+  }
+  if (!inRange(profile.padding, 0, 200)) {
+    errors.push("Padding must be between 0 and 200");
+  }
+  for (const key of ["captionColor", "background"]) {
+    if (!/^#[0-9a-f]{6}$/i.test(profile[key] || "")) {
+      errors.push("Colours must be hex colours like #ffffff");
+      break;
+    }
+  }
+
+  return errors;
+}
+
+// Function to read all saved profiles
+async function loadBrandingProfiles() {
+  const stored = await chrome.storage.local.get(BRANDING_PROFILES_STORAGE_KEY);
+  return stored[BRANDING_PROFILES_STORAGE_KEY] || [];
+}
+
+// Function to replace the saved profiles
+async function saveBrandingProfiles(profiles) {
+  await chrome.storage.local.set({ [BRANDING_PROFILES_STORAGE_KEY]: profiles });
+}
+
+// Function to find a profile by the name the settings refer to it by
+// (case and surrounding spaces do not matter)
+function findBrandingProfile(profiles, name) {
+  const wanted = (name || "").trim().toLowerCase();
+  if (!wanted) return null;
+  return profiles.find((profile) => profile.name.trim().toLowerCase() === wanted) || null;
+}
@@ -0,0 +1,273 @@
+// Branding page for PageSpeed Insights Screenshot Extension
+// Edits the branding profiles and previews them on a sample gauge strip
+
+const profileForm = document.getElementById("profile-form");
+const statusElement = document.getElementById("status");
+const cancelEditButton = document.getElementById("cancel-edit");
+
+// Id of the profile being edited, or null for a new one
+let editingId = null;
+
+// Logo of the profile in the form (a data URL), or null
+let formLogo = null;
+
+// Bumped on every preview so a slow render cannot overwrite a newer one
+let previewRequest = 0;
+
+// Sample capture the preview is drawn for
+const BRANDING_PREVIEW_SAMPLE = {
+  url: "https://www.example.com/",
+  domain: "www.example.com",
+  device: "mobile",
+  scores: { performance: 87 },
+};
+
+// Function to show a status message below the form
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.classList.toggle("error", isError);
+}
+
+// Function to build the select choices from the shared definitions
+function renderFormChoices() {
+  const elements = profileForm.elements;
+  for (const [select, choices] of [
+    [elements.captionPosition, BRANDING_CAPTION_POSITIONS],
+    [elements.captionAlign, BRANDING_CAPTION_ALIGNMENTS],
+    [elements.logoPosition, BRANDING_LOGO_POSITIONS],
+  ]) {
+    for (const choice of choices) {
+      select.add(new Option(choice.label, choice.id));
+    }
+  }
+}
+
+// Function to load a profile (or the defaults for a new one) into the form
+function fillProfileForm(profile) {
+  const values = profile || DEFAULT_BRANDING_PROFILE;
+  const elements = profileForm.elements;
+
+  for (const key of Object.keys(DEFAULT_BRANDING_PROFILE)) {
+    if (key !== "logo") {
+      elements[key].value = values[key];
+    }
+  }
+  formLogo = values.logo;
+
+  editingId = profile ? profile.id : null;
+  document.getElementById("form-title").textContent = profile
+    ? `Edit "${profile.name}"`
+    : "New profile";
+  cancelEditButton.hidden = !profile;
+  renderLogo();
+  renderPreview();
+}
+
+// Function to read the form back into a profile object
+function readProfileForm() {
+  const elements = profileForm.elements;
+  const profile = { logo: formLogo };
+
+  for (const [key, defaultValue] of Object.entries(DEFAULT_BRANDING_PROFILE)) {
+    if (key === "logo") continue;
+    profile[key] =
+      typeof defaultValue === "number" ? Number(elements[key].value) : elements[key].value;
+  }
+  profile.name = profile.name.trim();
+  return profile;
+}
+
+// Function to show the form's logo next to its buttons
+function renderLogo() {
+  const preview = document.getElementById("logo-preview");
+  preview.hidden = !formLogo;
+  preview.src = formLogo || "";
+  document.getElementById("remove-logo").hidden = !formLogo;
+}
+
+// Function to draw the form's profile around a sample gauge strip
+async function renderPreview() {
+  const request = ++previewRequest;
+  const profile = readProfileForm();
+  document.getElementById("opacity-value").textContent = `${profile.logoOpacity}%`;
+
+  const errors = validateBrandingProfile({ ...profile, name: profile.name || "preview" });
+  if (errors.length > 0) {
+    showStatus(`❌ ${errors.join(". ")}.`, true);
+    return;
+  }
+  if (statusElement.classList.contains("error")) {
+    showStatus("");
+  }
+
+  const config = await loadConfig();
+  const sample = await canvasToDataUrl(
+    renderScoreGauges(
+      SCORE_CATEGORIES.slice(0, 4).map((category, index) => ({
+        label: category.label,
+        score: [87, 95, 100, 92][index],
+      })),
+      { scale: 2 }
+    )
+  );
+  const branded = await applyBrandingOverlay(sample, profile, {
+    ...BRANDING_PREVIEW_SAMPLE,
+    capturedAt: new Date(),
+    client: config.CLIENT_NAME,
+  });
+
+  if (request === previewRequest) {
+    document.getElementById("preview").src = branded;
+  }
+}
+
+// Function to fill the profiles table
+async function renderProfiles() {
+  const profiles = await loadBrandingProfiles();
+  const config = await loadConfig();
+  const active = findBrandingProfile(profiles, config.BRANDING_PROFILE);
+  const tbody = document.querySelector("#profiles tbody");
+  tbody.textContent = "";
+
+  if (profiles.length === 0) {
+    const row = tbody.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 4;
+    cell.className = "empty";
+    cell.textContent = "No profiles yet.";
+    return;
+  }
+
+  for (const profile of profiles) {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = `${profile.name}${profile === active ? " (in use)" : ""}`;
+    row.insertCell().textContent =
+      profile.captionPosition === "none" ? "–" : profile.caption.replace(/\n/g, " / ");
+    row.insertCell().textContent = profile.logo ? profile.logoPosition : "–";
+
+    const actions = row.insertCell();
+    actions.className = "actions";
+    for (const [text, handler] of [
+      ["Edit", () => fillProfileForm(profile)],
+      ["Use for captures", () => useProfile(profile)],
+      ["Delete", () => deleteProfile(profile)],
+    ]) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = text;
+      button.addEventListener("click", handler);
+      actions.appendChild(button);
+    }
+  }
+}
+
+// Function to make a profile the one captures use (the Branding profile setting)
+async function useProfile(profile) {
+  const config = await loadConfig();
+  await saveConfig({ ...config, BRANDING_PROFILE: profile.name });
+  await renderProfiles();
+  showStatus(`✅ Captures now use "${profile.name}".`);
+}
+
+// Function to remove a profile after confirmation
+async function deleteProfile(profile) {
+  if (!confirm(`Delete the branding profile "${profile.name}"?`)) {
+    return;
+  }
+
+  const profiles = await loadBrandingProfiles();
+  await saveBrandingProfiles(profiles.filter((candidate) => candidate.id !== profile.id));
+  if (editingId === profile.id) {
+    fillProfileForm(null);
+  }
+  showStatus(`🗑️ Deleted "${profile.name}".`);
+}
+
+profileForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+
+  const candidate = readProfileForm();
+  const errors = validateBrandingProfile(candidate);
+
+  const profiles = await loadBrandingProfiles();
+  const sameName = findBrandingProfile(profiles, candidate.name);
+  if (sameName && sameName.id !== editingId) {
+    errors.push(`There is already a profile called "${sameName.name}"`);
+  }
+  if (errors.length > 0) {
+    showStatus(`❌ ${errors.join(". ")}.`, true);
+    return;
+  }
+
+  const existing = profiles.find((profile) => profile.id === editingId);
+  const profile = { ...(existing || { id: crypto.randomUUID() }), ...candidate };
+  if (existing) {
+    profiles[profiles.indexOf(existing)] = profile;
+  } else {
+    profiles.push(profile);
+  }
+
+  await saveBrandingProfiles(profiles);
+
+  // The settings refer to profiles by name - follow a rename of the one in use
+  const config = await loadConfig();
+  if (existing && findBrandingProfile([existing], config.BRANDING_PROFILE)) {
+    await saveConfig({ ...config, BRANDING_PROFILE: profile.name });
+  }
+
+  fillProfileForm(null);
+  showStatus(`✅ Saved "${profile.name}".`);
+});
+
+profileForm.addEventListener("input", renderPreview);
+
+cancelEditButton.addEventListener("click", () => {
+  fillProfileForm(null);
+});
+
+document.getElementById("choose-logo").addEventListener("click", () => {
+  document.getElementById("logo-file").click();
+});
+
+document.getElementById("logo-file").addEventListener("change", (event) => {
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file) return;
+
+  if (!["image/png", "image/jpeg"].includes(file.type)) {
+    showStatus("❌ The logo must be a PNG or JPEG image.", true);
+    return;
+  }
+  if (file.size > MAX_BRANDING_LOGO_BYTES) {
+    showStatus("❌ The logo must be 512 KB or smaller.", true);
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    formLogo = reader.result;
+    renderLogo();
+    renderPreview();
+  };
+  reader.readAsDataURL(file);
+});
+
+document.getElementById("remove-logo").addEventListener("click", () => {
+  formLogo = null;
+  renderLogo();
+  renderPreview();
+});
+
+// Keep the table current when profiles or the active one change elsewhere
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (
+    (areaName === "local" && changes[BRANDING_PROFILES_STORAGE_KEY]) ||
+    (areaName === "sync" && changes[SETTINGS_STORAGE_KEY])
+  ) {
+    renderProfiles();
+  }
+});
+
+renderFormChoices();
+fillProfileForm(null);
+renderProfiles();
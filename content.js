@@ -1,115 +1,336 @@
 // Content script for PageSpeed Insights Screenshot Extension
-// Runs on PageSpeed Insights pages to help with element detection
+// Runs on PageSpeed Insights pages and follows each device report as it renders,
+// so the background script can capture as soon as the gauges have settled.
+// Needs selector-profiles.js, loaded before it. Also injected by the background
+// script (chrome.scripting) into report tabs that were open before the extension
+// loaded - the guard keeps it to one watcher per page.
 
-console.log("PageSpeed Insights Screenshot Extension loaded");
+// A watcher left behind by a reloaded extension can no longer answer messages
+if (window.pageSpeedReportWatcher && !window.pageSpeedReportWatcher.isConnected()) {
+  window.pageSpeedReportWatcher.observer.disconnect();
+  window.pageSpeedReportWatcher = null;
+}
+
+if (!window.pageSpeedReportWatcher) {
+  console.log("PageSpeed Insights Screenshot Extension loaded");
 
-// Wait for the page to be fully loaded and results to appear
-function waitForResults() {
-  const checkInterval = 1000; // Check every second
-  const maxWaitTime = 30000; // Wait up to 30 seconds
-  let elapsed = 0;
+  // ========== REPORT STATE ==========
+  // Each device panel moves through these states as PageSpeed Insights renders it:
+  //   absent   - no panel for the device yet
+  //   loading  - the panel is there but its gauges show no score yet
+  //   rendered - scores are shown but still changing, animating or hidden
+  //   settled  - the panel is shown, its scores have not changed for the quiet period
+  //              and no gauge animation is running
+  //   error    - PageSpeed Insights showed an error instead of a report
+  const REPORT_DEVICE_TYPES = ["mobile", "desktop"];
 
-  const interval = setInterval(() => {
-    const performanceScore = document.querySelector(
-      '.lh-header-container, [data-testid="lh-gauge__percentage"], .lh-gauge__percentage, [data-testid="lh-gauge"], .lh-gauge'
+  const runtime = chrome.runtime;
+  const watcher = {
+    // How long the scores must stay unchanged to count as settled; the background
+    // script sends the configured value with each request
+    quietMs: 300,
+    // Selector profile matching the page (see selector-profiles.js)
+    profile: SELECTOR_PROFILES[0],
+    profileDetected: false,
+    error: null,
+    activeDevice: null,
+    devices: {},
+    // Pending waitForReportState requests: { deviceType, resolve, timer } - without a
+    // deviceType, whichever device is shown
+    waiters: [],
+    updateTimer: null,
+    recheckTimer: null,
+    readyShown: false,
+    observer: null,
+    isConnected: () => Boolean(runtime.id),
+  };
+  window.pageSpeedReportWatcher = watcher;
+
+  for (const deviceType of REPORT_DEVICE_TYPES) {
+    watcher.devices[deviceType] = {
+      state: "absent",
+      active: false,
+      visible: false,
+      signature: "",
+      changedAt: Date.now(),
+    };
+  }
+
+  // Function to find the tab panel of a device report
+  function findDevicePanel(deviceType) {
+    return document.querySelector(
+      fillDeviceSelector(watcher.profile.selectors.devicePanel, deviceType)
     );
+  }
 
-    if (performanceScore) {
-      console.log("PageSpeed results detected");
-      clearInterval(interval);
+  // Function to read the error PageSpeed Insights shows instead of a report, if any
+  // Only PSI's error box and Lighthouse's runtime error are read - report content
+  // (e.g. an audit listing the site's console errors) can contain the same words
+  function readReportError() {
+    const { selectors } = watcher.profile;
+    const runtimeError = document.querySelector(selectors.runtimeError);
+    if (runtimeError) {
+      return runtimeError.textContent.trim();
+    }
+    for (const container of document.querySelectorAll(selectors.errorContainer)) {
+      const errorMatch = container.textContent.match(
+        /(Lighthouse returned error[^\n]*|Lighthouse was unable to reliably load[^\n]*|An error has occurred[^\n]*)/i
+      );
+      if (errorMatch) {
+        return errorMatch[0].trim();
+      }
+    }
+    return null;
+  }
 
-      // Add a visual indicator that the extension is ready
-      addReadyIndicator();
-    } else if (elapsed >= maxWaitTime) {
-      console.log("Timeout waiting for PageSpeed results");
-      clearInterval(interval);
+  // Function to work out one device's state from its panel
+  function readDeviceState(deviceType, now) {
+    const selectors = watcher.profile.selectors;
+    const device = watcher.devices[deviceType];
+    const panel = findDevicePanel(deviceType);
+    const header =
+      panel &&
+      panel.querySelector(`${selectors.scoresHeader}, ${selectors.scoresContainer}`);
+    const percentages = header
+      ? Array.from(header.querySelectorAll(selectors.gaugePercentage), (element) =>
+          element.textContent.trim()
+        )
+      : [];
+
+    device.active = Boolean(panel && panel.matches(selectors.activePanel));
+    const rect = header ? header.getBoundingClientRect() : null;
+    device.visible = Boolean(
+      rect &&
+        rect.width > 0 &&
+        rect.height > 0 &&
+        window.getComputedStyle(header).visibility !== "hidden"
+    );
+
+    // Anything that changes while the gauges count up or the panel is switched
+    const signature = [
+      device.active,
+      device.visible,
+      ...percentages,
+      ...Array.from(header ? header.querySelectorAll(selectors.gaugeArc) : [], (arc) =>
+        arc.getAttribute("style")
+      ),
+    ].join("|");
+    if (signature !== device.signature) {
+      device.signature = signature;
+      device.changedAt = now;
     }
 
-    elapsed += checkInterval;
-  }, checkInterval);
-}
+    // CSS transitions and animations on the gauge arcs (Web Animations API)
+    const animations = header
+      ? header
+          .getAnimations({ subtree: true })
+          .filter((animation) => animation.playState === "running")
+      : [];
 
-// Add a small visual indicator that the extension is ready
-function addReadyIndicator() {
-  // Check if indicator already exists
-  if (document.getElementById("pagespeed-extension-ready")) {
-    return;
+    if (!panel) {
+      device.state = "absent";
+    } else if (!percentages.some((text) => /\d/.test(text))) {
+      device.state = "loading";
+    } else if (
+      !device.active ||
+      !device.visible ||
+      animations.length > 0 ||
+      now - device.changedAt < watcher.quietMs
+    ) {
+      device.state = "rendered";
+    } else {
+      device.state = "settled";
+    }
+
+    return animations;
   }
 
-  const indicator = document.createElement("div");
-  indicator.id = "pagespeed-extension-ready";
-  indicator.style.cssText = `
-    position: fixed;
-    top: 10px;
-    left: 10px;
-    background: #4CAF50;
-    color: white;
-    padding: 6px 12px;
-    border-radius: 20px;
-    font-size: 12px;
-    font-family: Arial, sans-serif;
-    z-index: 9999;
-    box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-    transition: opacity 0.3s ease;
-  `;
-  indicator.textContent = "📸 Extension Ready";
-
-  document.body.appendChild(indicator);
-
-  // Fade out after 3 seconds
-  setTimeout(() => {
-    indicator.style.opacity = "0";
-    setTimeout(() => {
-      if (indicator.parentNode) {
-        indicator.parentNode.removeChild(indicator);
+  // Function to bring every device state up to date and answer the waiting requests
+  function updateReportState() {
+    watcher.updateTimer = null;
+    clearTimeout(watcher.recheckTimer);
+    watcher.recheckTimer = null;
+
+    const now = Date.now();
+    const detection = detectSelectorProfile();
+    watcher.profile = detection.profile;
+    watcher.profileDetected = detection.detected;
+    watcher.error = readReportError();
+    const animations = [];
+    for (const deviceType of REPORT_DEVICE_TYPES) {
+      animations.push(...readDeviceState(deviceType, now));
+      if (watcher.error) {
+        watcher.devices[deviceType].state = "error";
       }
-    }, 300);
-  }, 3000);
-}
+    }
+    watcher.activeDevice =
+      REPORT_DEVICE_TYPES.find((deviceType) => watcher.devices[deviceType].active) ||
+      null;
+
+    // Nothing may mutate once the gauges are still - look again when the running
+    // animations finish or the quiet period is over
+    for (const animation of animations) {
+      animation.finished.then(scheduleUpdate, () => {});
+    }
+    const quietLeft = Math.min(
+      ...REPORT_DEVICE_TYPES.map((deviceType) => watcher.devices[deviceType])
+        .filter((device) => device.state === "rendered" && device.active)
+        .map((device) => device.changedAt + watcher.quietMs - now)
+    );
+    if (Number.isFinite(quietLeft)) {
+      watcher.recheckTimer = setTimeout(updateReportState, Math.max(quietLeft, 16));
+    }
 
-// Helper function to highlight the target element temporarily
-function highlightTargetElement() {
-  const selectors = [
-    '[data-testid="lh-gauge__percentage"]',
-    ".lh-gauge__percentage",
-    '[data-testid="lh-gauge"]',
-    ".lh-gauge",
-    '[aria-label*="Performance"]',
-    ".lh-score",
-  ];
-
-  let element = null;
-  for (const selector of selectors) {
-    element = document.querySelector(selector);
-    if (element) break;
+    for (const waiter of [...watcher.waiters]) {
+      const device = watcher.devices[waiter.deviceType || watcher.activeDevice];
+      if (watcher.error || (device && device.state === "settled" && device.active)) {
+        finishWaiter(waiter, !watcher.error);
+      }
+    }
+
+    if (
+      !watcher.readyShown &&
+      REPORT_DEVICE_TYPES.some((deviceType) => watcher.devices[deviceType].state === "settled")
+    ) {
+      watcher.readyShown = true;
+      console.log("PageSpeed results detected");
+      addReadyIndicator();
+    }
   }
 
-  if (element) {
-    const originalStyle = element.style.cssText;
-    element.style.cssText += `
-      outline: 3px solid #ff4444 !important;
-      outline-offset: 2px !important;
-      transition: outline 0.3s ease !important;
+  // Function to coalesce a burst of mutations into one state update
+  function scheduleUpdate() {
+    if (watcher.updateTimer === null) {
+      watcher.updateTimer = setTimeout(updateReportState, 50);
+    }
+  }
+
+  // Function to copy the state for a message reply
+  function getReportSnapshot() {
+    const devices = {};
+    for (const deviceType of REPORT_DEVICE_TYPES) {
+      const { state, active, visible } = watcher.devices[deviceType];
+      devices[deviceType] = { state, active, visible };
+    }
+    return {
+      error: watcher.error,
+      activeDevice: watcher.activeDevice,
+      profileId: watcher.profile.id,
+      profileDetected: watcher.profileDetected,
+      devices,
+    };
+  }
+
+  // Function to answer a waiting request and forget it
+  function finishWaiter(waiter, reached) {
+    clearTimeout(waiter.timer);
+    watcher.waiters.splice(watcher.waiters.indexOf(waiter), 1);
+    waiter.resolve({ reached, ...getReportSnapshot() });
+  }
+
+  watcher.observer = new MutationObserver(scheduleUpdate);
+  watcher.observer.observe(document.documentElement, {
+    subtree: true,
+    childList: true,
+    characterData: true,
+    attributes: true,
+    attributeFilter: ["class", "style", "hidden", "aria-selected", "data-tab-panel-active"],
+  });
+
+  // Add a small visual indicator that the extension is ready
+  function addReadyIndicator() {
+    // Check if indicator already exists
+    if (document.getElementById("pagespeed-extension-ready")) {
+      return;
+    }
+
+    const indicator = document.createElement("div");
+    indicator.id = "pagespeed-extension-ready";
+    indicator.style.cssText = `
+      position: fixed;
+      top: 10px;
+      left: 10px;
+      background: #4CAF50;
+      color: white;
+      padding: 6px 12px;
+      border-radius: 20px;
+      font-size: 12px;
+      font-family: Arial, sans-serif;
+      z-index: 9999;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+      transition: opacity 0.3s ease;
     `;
+    indicator.textContent = "📸 Extension Ready";
+
+    document.body.appendChild(indicator);
 
+    // Fade out after 3 seconds
     setTimeout(() => {
-      element.style.cssText = originalStyle;
-    }, 2000);
+      indicator.style.opacity = "0";
+      setTimeout(() => {
+        if (indicator.parentNode) {
+          indicator.parentNode.removeChild(indicator);
+        }
+      }, 300);
+    }, 3000);
   }
-}
 
-// Listen for messages from background script
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === "highlightElement") {
-    highlightTargetElement();
-    sendResponse({ success: true });
+  // Helper function to highlight the target element temporarily
+  function highlightTargetElement() {
+    const { selectors } = watcher.profile;
+    const element =
+      document.querySelector(selectors.gaugePercentage) ||
+      document.querySelector(selectors.gauge);
+
+    if (element) {
+      const originalStyle = element.style.cssText;
+      element.style.cssText += `
+        outline: 3px solid #ff4444 !important;
+        outline-offset: 2px !important;
+        transition: outline 0.3s ease !important;
+      `;
+
+      setTimeout(() => {
+        element.style.cssText = originalStyle;
+      }, 2000);
+    }
   }
-});
 
-// Start waiting for results when the script loads
-waitForResults();
+  // Listen for messages from background script
+  // getReportState: replies with the current state of each device report and the
+  // selector profile in use
+  // checkSelectors: replies with the selector self-check of a device report
+  // waitForReportState: replies once the device's panel is shown and settled (or
+  // PageSpeed Insights shows an error), or with reached: false after timeoutMs
+  // Without a deviceType it replies once the report shown, whichever it is, settles
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "highlightElement") {
+      highlightTargetElement();
+      sendResponse({ success: true });
+    } else if (request.action === "getReportState") {
+      if (request.quietMs != null) watcher.quietMs = request.quietMs;
+      updateReportState();
+      sendResponse(getReportSnapshot());
+    } else if (request.action === "checkSelectors") {
+      updateReportState();
+      sendResponse({
+        ...runSelectorSelfCheck(watcher.profile, request.deviceType),
+        profileDetected: watcher.profileDetected,
+      });
+    } else if (request.action === "waitForReportState") {
+      if (request.quietMs != null) watcher.quietMs = request.quietMs;
+      const waiter = { deviceType: request.deviceType, resolve: sendResponse };
+      waiter.timer = setTimeout(() => finishWaiter(waiter, false), request.timeoutMs);
+      watcher.waiters.push(waiter);
+
+      // The panel was just switched - measure the quiet period from now
+      if (request.deviceType) {
+        watcher.devices[request.deviceType].changedAt = Date.now();
+      }
+      updateReportState();
+      return true; // Reply asynchronously
+    }
+  });
 
-// Also check if results are already loaded
-if (document.readyState === "complete") {
-  setTimeout(waitForResults, 1000);
+  updateReportState();
 }
@@ -0,0 +1,233 @@
+// Filename helpers for PageSpeed Insights Screenshot Extension
+// Loaded by the background service worker (importScripts), the options page and the import page
+
+// Longest {path} slug, so deep URLs do not push file names past OS limits
+const MAX_PATH_SLUG_LENGTH = 60;
+
+// Function to make a value filename-safe
+// (replace special chars with underscores)
+function sanitizeFilenamePart(value) {
+  return String(value)
+    .replace(/[^a-zA-Z0-9.-]/g, "_")
+    .replace(/_{2,}/g, "_") // Replace multiple underscores with single
+    .replace(/^_|_$/g, ""); // Remove leading/trailing underscores
+}
+
+// Function to make a {host} or {path} value filename-safe
+// (like sanitizeFilenamePart, but letters and digits of any script are kept)
+function sanitizeUnicodeFilenamePart(value) {
+  return String(value)
+    .normalize("NFC")
+    .replace(/[^\p{L}\p{M}\p{N}.-]/gu, "_")
+    .replace(/_{2,}/g, "_")
+    .replace(/^_|_$/g, "");
+}
+
+// Function to turn a domain into a filename-safe string
+// (remove www., replace special chars with underscores)
+function cleanDomainForFilename(domain) {
+  return sanitizeFilenamePart(domain.replace(/^www\./, ""));
+}
+
+// Function to decode one punycode label of an IDN host ("bcher-kva" -> "bücher"),
+// following RFC 3492. Throws on malformed input.
+function decodePunycodeLabel(label) {
+  const base = 36;
+  const tMin = 1;
+  const tMax = 26;
+  const codePoints = [];
+  let n = 128;
+  let bias = 72;
+  let i = 0;
+
+  // Code points before the last "-" are copied as they are
+  const delimiter = label.lastIndexOf("-");
+  for (let index = 0; index < Math.max(delimiter, 0); index++) {
+    codePoints.push(label.charCodeAt(index));
+  }
+
+  for (let index = delimiter >= 0 ? delimiter + 1 : 0; index < label.length; ) {
+    const previousI = i;
+    for (let weight = 1, k = base; ; k += base) {
+      if (index >= label.length) throw new Error(`Invalid punycode: ${label}`);
+      const code = label.charCodeAt(index++);
+      const digit =
+        code >= 48 && code <= 57
+          ? code - 22
+          : code >= 97 && code <= 122
+          ? code - 97
+          : code >= 65 && code <= 90
+          ? code - 65
+          : base;
+      if (digit >= base) throw new Error(`Invalid punycode: ${label}`);
+
+      i += digit * weight;
+      const threshold = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+      if (digit < threshold) break;
+      weight *= base - threshold;
+    }
+
+    // Adapt the bias to the size of the last delta
+    const points = codePoints.length + 1;
+    let delta = previousI === 0 ? Math.floor((i - previousI) / 700) : (i - previousI) >> 1;
+    delta += Math.floor(delta / points);
+    let k = 0;
+    while (delta > ((base - tMin) * tMax) >> 1) {
+      delta = Math.floor(delta / (base - tMin));
+      k += base;
+    }
+    bias = k + Math.floor(((base - tMin + 1) * delta) / (delta + 38));
+
+    n += Math.floor(i / points);
+    i %= points;
+    codePoints.splice(i++, 0, n);
+  }
+
+  return String.fromCodePoint(...codePoints);
+}
+
+// Function to show an IDN host in Unicode ("xn--bcher-kva.de" -> "bücher.de")
+// The URL API only converts the other way; labels that do not decode stay as they are
+function toUnicodeHostname(hostname) {
+  return hostname
+    .split(".")
+    .map((label) => {
+      if (!/^xn--/i.test(label)) return label;
+      try {
+        return decodePunycodeLabel(label.slice(4).toLowerCase());
+      } catch (error) {
+        return label;
+      }
+    })
+    .join(".");
+}
+
+// Function to turn a URL path into a slug ("/Blog/My%20Post/" -> "blog-my-post")
+// The site root gives an empty slug
+function slugifyUrlPath(pathname) {
+  let path = pathname;
+  try {
+    path = decodeURIComponent(pathname);
+  } catch (error) {
+    // Malformed escapes - slug the path as it is
+  }
+
+  return path
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .slice(0, MAX_PATH_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, "");
+}
+
+// Function to read a tested URL (with or without https://) into the parts file
+// names use: { url, domain: ASCII host without www., host: the same in Unicode for
+// IDNs, path: slug of the path }. Returns null for anything that is not a web page URL.
+function parseTestedUrl(value) {
+  const text = String(value || "").trim();
+  const hasScheme = /^https?:\/\//i.test(text);
+
+  let url;
+  try {
+    url = new URL(hasScheme ? text : `https://${text}`);
+  } catch (error) {
+    return null;
+  }
+  // Host names need a dot and a top-level domain ("Captured at ..." is not a URL)
+  if (!/\.(?:[a-z]{2,}|xn--[a-z0-9-]+)$/i.test(url.hostname)) {
+    return null;
+  }
+
+  // The URL API gives IDN hosts in their ASCII (punycode) form
+  const domain = url.hostname.replace(/^www\./, "");
+  return {
+    url: hasScheme ? text : url.href,
+    domain,
+    host: toUnicodeHostname(domain),
+    path: slugifyUrlPath(url.pathname),
+  };
+}
+
+// Function to format a capture time for filenames (2024-01-15T14-30-45)
+function formatFilenameTimestamp(date) {
+  return date.toISOString().replace(/[:.]/g, "-").slice(0, 19);
+}
+
+// Function to work out the value of every template token for one file
+// details: { domain, url, device, scores, capturedAt: Date, client, index, total,
+// type: "score" | "metrics" | "report" | "lhr", category }
+function buildFilenameTokens(details) {
+  const timestamp = formatFilenameTimestamp(details.capturedAt || new Date());
+  const performance = details.scores ? details.scores.performance : null;
+  // Not a URL - {path} stays empty and {host} follows the domain
+  const testedUrl = parseTestedUrl(details.url);
+  const domain = details.domain || (testedUrl ? testedUrl.domain : "");
+
+  return {
+    domain: cleanDomainForFilename(domain),
+    host: sanitizeUnicodeFilenamePart(
+      (testedUrl ? testedUrl.host : toUnicodeHostname(domain)).replace(/^www\./, "")
+    ),
+    path: sanitizeUnicodeFilenamePart(testedUrl ? testedUrl.path : ""),
+    device: sanitizeFilenamePart(details.device || ""),
+    performance: performance == null ? "" : String(performance),
+    date: timestamp.slice(0, 10),
+    time: timestamp.slice(11),
+    timestamp,
+    client: sanitizeFilenamePart(details.client || ""),
+    // Zero-padded so batch files sort in URL order
+    index: details.index
+      ? String(details.index).padStart(String(details.total || details.index).length, "0")
+      : "",
+    type: details.type || "score",
+    category: sanitizeFilenamePart(details.category || ""),
+  };
+}
+
+// Function to fill in a template; an empty token takes the separator before it
+// with it. The template's own text in every folder level is sanitised like a
+// domain - token values already are, {host} and {path} keeping letters of any script
+function renderFilenameTemplate(template, tokens) {
+  return template
+    .split("/")
+    .map((segment) =>
+      segment
+        .replace(/([-_. ]?)\{(\w+)\}|[\s\S]/g, (match, separator, name) => {
+          if (name === undefined) return match.replace(/[^a-zA-Z0-9.-]/g, "_");
+          return tokens[name] ? `${separator.replace(" ", "_")}${tokens[name]}` : "";
+        })
+        .replace(/_{2,}/g, "_")
+        .replace(/^[_.-]+|[_.-]+$/g, "")
+    )
+    .filter(Boolean)
+    .join("/");
+}
+
+// Function to build the folder (no trailing slash) a file is saved in
+function getCaptureFolder(config, details) {
+  return renderFilenameTemplate(
+    config.FOLDER_TEMPLATE,
+    buildFilenameTokens({ client: config.CLIENT_NAME, ...details })
+  );
+}
+
+// Function to build the download path of a capture file from the filename and
+// folder templates
+function getCaptureFilename(config, details, extension) {
+  const tokens = buildFilenameTokens({ client: config.CLIENT_NAME, ...details });
+
+  // Keep the files of one capture apart even when the template leaves these out
+  let template = config.FILENAME_TEMPLATE;
+  if (tokens.type !== "score" && !template.includes("{type}")) {
+    template += "-{type}";
+  }
+  for (const name of ["device", "category"]) {
+    if (tokens[name] && !template.includes(`{${name}}`)) {
+      template += `-{${name}}`;
+    }
+  }
+
+  const folder = renderFilenameTemplate(config.FOLDER_TEMPLATE, tokens);
+  const name = renderFilenameTemplate(template, tokens) || `pagespeed-${tokens.type}`;
+  return `${folder ? `${folder}/` : ""}${name}.${extension}`;
+}
@@ -0,0 +1,128 @@
+// Score gauge renderer for PageSpeed Insights Screenshot Extension
+// Draws PageSpeed Insights-style gauges on an OffscreenCanvas, so it works in the
+// background service worker (importScripts) as well as in extension pages
+
+// PageSpeed Insights colour bands: 90-100 good, 50-89 needs improvement, 0-49 poor
+const SCORE_BANDS = [
+  { min: 90, rating: "pass", arc: "#0c6", fill: "rgba(0, 204, 102, 0.1)", text: "#008800" },
+  { min: 50, rating: "average", arc: "#fa3", fill: "rgba(255, 170, 51, 0.1)", text: "#c33300" },
+  { min: 0, rating: "fail", arc: "#f33", fill: "rgba(255, 51, 51, 0.1)", text: "#cc0000" },
+];
+
+// Colours for a category without a score (e.g. PWA on newer Lighthouse versions)
+const NO_SCORE_BAND = {
+  rating: null,
+  arc: "#bdc1c6",
+  fill: "rgba(95, 99, 104, 0.08)",
+  text: "#5f6368",
+};
+
+// Layout of one gauge tile, in CSS px before scaling
+const GAUGE_TILE = {
+  width: 148,
+  height: 168,
+  padding: 16,
+  radius: 44,
+  strokeWidth: 8,
+};
+
+// Function to pick the colour band for a 0-100 score
+function getScoreBand(score) {
+  if (typeof score !== "number") return NO_SCORE_BAND;
+  return SCORE_BANDS.find((band) => score >= band.min) || SCORE_BANDS[SCORE_BANDS.length - 1];
+}
+
+// Function to draw a row of gauges and return the canvas
+// gauges: [{ label, score }] - score 0-100 or null
+// options.scale: pixel density (2 matches a typical retina capture)
+// options.background: fill colour, or null for a transparent image
+function renderScoreGauges(gauges, options = {}) {
+  const scale = options.scale || 2;
+  const background = options.background === undefined ? "#ffffff" : options.background;
+  const width = GAUGE_TILE.width * Math.max(1, gauges.length);
+
+  const canvas = new OffscreenCanvas(
+    Math.round(width * scale),
+    Math.round(GAUGE_TILE.height * scale)
+  );
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, GAUGE_TILE.height);
+  }
+
+  gauges.forEach((gauge, index) => {
+    const band = getScoreBand(gauge.score);
+    const centerX = GAUGE_TILE.width * index + GAUGE_TILE.width / 2;
+    const centerY = GAUGE_TILE.padding + GAUGE_TILE.radius + GAUGE_TILE.strokeWidth / 2;
+
+    // Tinted disc and grey track behind the score arc
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, GAUGE_TILE.radius, 0, Math.PI * 2);
+    ctx.fillStyle = band.fill;
+    ctx.fill();
+    ctx.lineWidth = GAUGE_TILE.strokeWidth;
+    ctx.strokeStyle = band.fill;
+    ctx.stroke();
+
+    // Score arc, clockwise from 12 o'clock
+    if (typeof gauge.score === "number" && gauge.score > 0) {
+      const start = -Math.PI / 2;
+      ctx.beginPath();
+      ctx.arc(
+        centerX,
+        centerY,
+        GAUGE_TILE.radius,
+        start,
+        start + (Math.PI * 2 * Math.min(gauge.score, 100)) / 100
+      );
+      ctx.strokeStyle = band.arc;
+      ctx.lineCap = gauge.score < 100 ? "round" : "butt";
+      ctx.stroke();
+    }
+
+    // Score number in the middle
+    ctx.fillStyle = band.text;
+    ctx.font = "bold 32px Roboto, Arial, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(
+      typeof gauge.score === "number" ? String(gauge.score) : "–",
+      centerX,
+      centerY + 1
+    );
+
+    // Category label below, shrunk to fit the tile
+    ctx.fillStyle = "#202124";
+    let fontSize = 15;
+    ctx.font = `${fontSize}px Roboto, Arial, sans-serif`;
+    while (
+      fontSize > 10 &&
+      ctx.measureText(gauge.label).width > GAUGE_TILE.width - 12
+    ) {
+      fontSize--;
+      ctx.font = `${fontSize}px Roboto, Arial, sans-serif`;
+    }
+    ctx.textBaseline = "top";
+    ctx.fillText(
+      gauge.label,
+      centerX,
+      centerY + GAUGE_TILE.radius + GAUGE_TILE.strokeWidth / 2 + 14
+    );
+  });
+
+  return canvas;
+}
+
+// Function to encode a canvas as a data URL (OffscreenCanvas has no toDataURL)
+async function canvasToDataUrl(canvas, type = "image/png", quality) {
+  const blob = await canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
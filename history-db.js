@@ -0,0 +1,125 @@
+// Capture history storage for PageSpeed Insights Screenshot Extension
+// IndexedDB wrapper loaded by the background service worker (importScripts) and the history page
+
+const HISTORY_DB_NAME = "pagespeed-history";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "captures";
+
+// Width of the thumbnails stored with each capture (CSS px)
+const HISTORY_THUMBNAIL_WIDTH = 320;
+
+// Function to turn an IDBRequest into a promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Function to open (and on first use create) the history database
+function openHistoryDb() {
+  const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+      const store = db.createObjectStore(HISTORY_STORE, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      store.createIndex("domain", "domain");
+      store.createIndex("url_device", ["url", "device"]);
+      store.createIndex("capturedAt", "capturedAt");
+    }
+  };
+
+  return promisifyRequest(request);
+}
+
+// Function to run one operation against the captures store
+async function withHistoryStore(mode, operation) {
+  const db = await openHistoryDb();
+  try {
+    const transaction = db.transaction(HISTORY_STORE, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await operation(transaction.objectStore(HISTORY_STORE));
+    await completed;
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+// Function to store one capture
+// record: { url, domain, device, scores, metrics, capturedAt, reportUrl, thumbnail, files }
+// url is the tested URL, or the domain when the report did not say which page was tested
+function addCapture(record) {
+  return withHistoryStore("readwrite", (store) =>
+    promisifyRequest(store.add(record))
+  );
+}
+
+// Function to read every capture for a domain, oldest first
+async function getCapturesForDomain(domain) {
+  const captures = await withHistoryStore("readonly", (store) =>
+    promisifyRequest(store.index("domain").getAll(domain))
+  );
+  return captures.sort((a, b) => a.capturedAt - b.capturedAt);
+}
+
+// Function to read the most recent capture of a page on a device
+async function getLatestCapture(url, device) {
+  const captures = await withHistoryStore("readonly", (store) =>
+    promisifyRequest(store.index("url_device").getAll([url, device]))
+  );
+  return captures.reduce(
+    (latest, capture) =>
+      !latest || capture.capturedAt > latest.capturedAt ? capture : latest,
+    null
+  );
+}
+
+// Function to list the domains in the history with their capture counts
+async function listHistoryDomains() {
+  const domains = new Map();
+
+  await withHistoryStore("readonly", (store) =>
+    new Promise((resolve, reject) => {
+      const request = store.index("domain").openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        const capture = cursor.value;
+        const entry = domains.get(capture.domain) || {
+          domain: capture.domain,
+          count: 0,
+          lastCapturedAt: 0,
+        };
+        entry.count++;
+        entry.lastCapturedAt = Math.max(entry.lastCapturedAt, capture.capturedAt);
+        domains.set(capture.domain, entry);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    })
+  );
+
+  return Array.from(domains.values()).sort((a, b) =>
+    a.domain.localeCompare(b.domain)
+  );
+}
+
+// Function to delete one capture
+function deleteCapture(id) {
+  return withHistoryStore("readwrite", (store) =>
+    promisifyRequest(store.delete(id))
+  );
+}
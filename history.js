@@ -0,0 +1,240 @@
+// History page for PageSpeed Insights Screenshot Extension
+// Lists stored captures per domain and draws score-over-time charts per device
+
+// Line colour for each category in the charts
+const CATEGORY_COLORS = {
+  performance: "#1a73e8",
+  accessibility: "#188038",
+  "best-practices": "#e37400",
+  seo: "#a142f4",
+  pwa: "#5f6368",
+};
+
+let selectedDomain = null;
+
+// Function to fill the domain list in the sidebar
+async function renderDomains() {
+  const domains = await listHistoryDomains();
+  const list = document.getElementById("domains");
+  list.textContent = "";
+
+  document.getElementById("empty-message").hidden = Boolean(selectedDomain);
+  if (domains.length === 0) {
+    document.getElementById("domain-title").textContent = "No captures yet";
+    return;
+  }
+
+  for (const entry of domains) {
+    const item = document.createElement("li");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = `${entry.domain} `;
+    button.classList.toggle("selected", entry.domain === selectedDomain);
+
+    const count = document.createElement("span");
+    count.className = "count";
+    count.textContent = `(${entry.count})`;
+    button.appendChild(count);
+
+    button.addEventListener("click", () => selectDomain(entry.domain));
+    item.appendChild(button);
+    list.appendChild(item);
+  }
+}
+
+// Function to draw one device's scores over time as a line chart
+function drawScoreChart(canvas, captures) {
+  // Match the canvas resolution to its displayed size
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * dpr;
+  canvas.height = height * dpr;
+
+  const ctx = canvas.getContext("2d");
+  ctx.scale(dpr, dpr);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "11px Arial, sans-serif";
+
+  const padding = { top: 28, right: 16, bottom: 28, left: 36 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  if (captures.length === 0) {
+    ctx.fillStyle = "#5f6368";
+    ctx.textAlign = "center";
+    ctx.fillText("No captures for this device", width / 2, height / 2);
+    return;
+  }
+
+  // Score bands: 0-49 poor, 50-89 needs improvement, 90-100 good
+  for (const [from, to, color] of [
+    [0, 50, "rgba(255, 51, 51, 0.06)"],
+    [50, 90, "rgba(255, 170, 51, 0.08)"],
+    [90, 100, "rgba(0, 204, 102, 0.08)"],
+  ]) {
+    ctx.fillStyle = color;
+    const top = padding.top + plotHeight * (1 - to / 100);
+    ctx.fillRect(padding.left, top, plotWidth, plotHeight * ((to - from) / 100));
+  }
+
+  // Y axis gridlines
+  ctx.strokeStyle = "#dadce0";
+  ctx.fillStyle = "#5f6368";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  for (const score of [0, 50, 90, 100]) {
+    const y = padding.top + plotHeight * (1 - score / 100);
+    ctx.beginPath();
+    ctx.moveTo(padding.left, y);
+    ctx.lineTo(padding.left + plotWidth, y);
+    ctx.stroke();
+    ctx.fillText(String(score), padding.left - 6, y);
+  }
+
+  const firstTime = captures[0].capturedAt;
+  const lastTime = captures[captures.length - 1].capturedAt;
+  const timeSpan = Math.max(1, lastTime - firstTime);
+  const xFor = (time) =>
+    captures.length === 1
+      ? padding.left + plotWidth / 2
+      : padding.left + ((time - firstTime) / timeSpan) * plotWidth;
+  const yFor = (score) => padding.top + plotHeight * (1 - score / 100);
+
+  // X axis labels: first and last capture dates
+  ctx.textBaseline = "top";
+  ctx.textAlign = "left";
+  ctx.fillText(
+    new Date(firstTime).toLocaleDateString(),
+    padding.left,
+    padding.top + plotHeight + 8
+  );
+  if (captures.length > 1) {
+    ctx.textAlign = "right";
+    ctx.fillText(
+      new Date(lastTime).toLocaleDateString(),
+      padding.left + plotWidth,
+      padding.top + plotHeight + 8
+    );
+  }
+
+  // One line per category that has at least one score
+  let legendX = padding.left;
+  for (const category of SCORE_CATEGORIES) {
+    const points = captures
+      .filter((capture) => capture.scores && capture.scores[category.id] != null)
+      .map((capture) => [xFor(capture.capturedAt), yFor(capture.scores[category.id])]);
+    if (points.length === 0) continue;
+
+    const color = CATEGORY_COLORS[category.id];
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = category.id === "performance" ? 2.5 : 1.5;
+
+    ctx.beginPath();
+    points.forEach(([x, y], index) => {
+      if (index === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+
+    for (const [x, y] of points) {
+      ctx.beginPath();
+      ctx.arc(x, y, 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Legend along the top
+    ctx.fillRect(legendX, 10, 10, 10);
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = "#202124";
+    ctx.fillText(category.label, legendX + 14, 15);
+    legendX += ctx.measureText(category.label).width + 30;
+  }
+  ctx.lineWidth = 1;
+}
+
+// Function to fill the captures table, newest first
+function renderCaptureTable(captures) {
+  const tbody = document.querySelector("#captures tbody");
+  tbody.textContent = "";
+
+  for (const capture of [...captures].reverse()) {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = new Date(capture.capturedAt).toLocaleString();
+    row.insertCell().textContent = capture.device;
+
+    const pageCell = row.insertCell();
+    const link = document.createElement("a");
+    link.href = capture.reportUrl;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = capture.url;
+    link.title = "Open the PageSpeed Insights report";
+    pageCell.appendChild(link);
+
+    row.insertCell().textContent = SCORE_CATEGORIES.filter(
+      (category) => capture.scores && capture.scores[category.id] != null
+    )
+      .map((category) => `${category.label}: ${capture.scores[category.id]}`)
+      .join(", ");
+
+    const imageCell = row.insertCell();
+    if (capture.thumbnail) {
+      const img = document.createElement("img");
+      img.src = capture.thumbnail;
+      img.alt = `${capture.device} gauges`;
+      imageCell.appendChild(img);
+    }
+
+    const actions = row.insertCell();
+    const deleteButton = document.createElement("button");
+    deleteButton.type = "button";
+    deleteButton.textContent = "Delete";
+    deleteButton.addEventListener("click", async () => {
+      if (!confirm("Delete this capture from the history?")) return;
+      await deleteCapture(capture.id);
+      await renderDomains();
+      if (selectedDomain) await selectDomain(selectedDomain);
+    });
+    actions.appendChild(deleteButton);
+  }
+}
+
+// Function to show the charts and table for one domain
+async function selectDomain(domain) {
+  selectedDomain = domain;
+  const captures = await getCapturesForDomain(domain);
+
+  document.getElementById("domain-title").textContent = domain;
+  document.getElementById("empty-message").hidden = true;
+  document.getElementById("domain-view").hidden = false;
+
+  for (const device of DEVICE_TYPES) {
+    drawScoreChart(
+      document.getElementById(`chart-${device}`),
+      captures.filter((capture) => capture.device === device)
+    );
+  }
+  renderCaptureTable(captures);
+
+  for (const button of document.querySelectorAll("#domains button")) {
+    button.classList.toggle(
+      "selected",
+      button.firstChild.textContent.trim() === domain
+    );
+  }
+
+  // Remember the domain so a reload (or a link) reopens it
+  history.replaceState(null, "", `#${encodeURIComponent(domain)}`);
+}
+
+window.addEventListener("resize", () => {
+  if (selectedDomain) selectDomain(selectedDomain);
+});
+
+renderDomains().then(() => {
+  const hashDomain = decodeURIComponent(location.hash.slice(1));
+  if (hashDomain) selectDomain(hashDomain);
+});
@@ -0,0 +1,56 @@
+// Image output encoding for PageSpeed Insights Screenshot Extension
+// Applies the image output settings (format, quality, scale, maximum size) to
+// captured images. Loaded by the background service worker (importScripts) and the
+// import page; needs canvasToDataUrl from gauge-renderer.js.
+
+// Function to get the pixel density images should be drawn at, or null to match
+// the display's device pixel ratio
+function getOutputScale(config) {
+  return config.IMAGE_SCALE === "dpr" ? null : Number(config.IMAGE_SCALE);
+}
+
+// Function to encode a captured PNG data URL for saving: scaled down to fit the
+// maximum width/height and converted to the chosen format
+// PNGs that already fit are returned untouched
+async function encodeOutputImage(dataUrl, config) {
+  const format = getImageFormat(config);
+  const maxWidth = config.IMAGE_MAX_WIDTH;
+  const maxHeight = config.IMAGE_MAX_HEIGHT;
+  if (format.value === "png" && !maxWidth && !maxHeight) {
+    return dataUrl;
+  }
+
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const fit = Math.min(
+    1,
+    maxWidth ? maxWidth / bitmap.width : 1,
+    maxHeight ? maxHeight / bitmap.height : 1
+  );
+  if (format.value === "png" && fit === 1) {
+    bitmap.close();
+    return dataUrl;
+  }
+
+  const canvas = new OffscreenCanvas(
+    Math.max(1, Math.round(bitmap.width * fit)),
+    Math.max(1, Math.round(bitmap.height * fit))
+  );
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+
+  // JPEG has no transparency - transparent areas would turn black
+  if (format.value === "jpeg") {
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return canvasToDataUrl(
+    canvas,
+    format.mimeType,
+    format.value === "png" ? undefined : config.IMAGE_QUALITY / 100
+  );
+}
@@ -0,0 +1,225 @@
+// Import page for PageSpeed Insights Screenshot Extension
+// Renders score gauge images from Lighthouse JSON files without a PageSpeed Insights tab
+
+const dropZone = document.getElementById("drop-zone");
+const fileInput = document.getElementById("file-input");
+const reportsElement = document.getElementById("reports");
+const statusElement = document.getElementById("status");
+const downloadAllButton = document.getElementById("download-all");
+const clearButton = document.getElementById("clear");
+
+// Parsed files, in the order they were dropped: { name, lhr } or { name, error }
+let importedReports = [];
+
+// Rendered images for the current category choice: [{ filename, dataUrl }]
+let renderedImages = [];
+
+// Function to show a status message above the reports
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.classList.toggle("error", isError);
+}
+
+// Function to build the category checkboxes, ticked like the last popup plan
+async function renderCategoryChoices() {
+  const plan = await loadCapturePlan();
+  const container = document.getElementById("categories");
+
+  for (const category of SCORE_CATEGORIES) {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.name = "categories";
+    input.value = category.id;
+    input.checked = plan.categories.includes(category.id);
+    input.addEventListener("change", renderReports);
+    label.appendChild(input);
+    label.append(` ${category.label}`);
+    container.appendChild(label);
+  }
+}
+
+// Function to read and parse the dropped files
+async function importFiles(files) {
+  for (const file of files) {
+    try {
+      const lhr = unwrapLighthouseResult(JSON.parse(await file.text()));
+      importedReports.push({ name: file.name, lhr });
+    } catch (error) {
+      console.warn(`⚠️ Could not import ${file.name}:`, error);
+      importedReports.push({ name: file.name, error: error.message });
+    }
+  }
+  await renderReports();
+}
+
+// Function to render the images for one Lighthouse result
+// Filenames follow the capture templates, using the report's own fetch time;
+// position: { index, total } of the report among the imported files
+async function renderReportImages(lhr, categories, config, position = {}) {
+  const scoreInfo = getScoresFromLighthouseResult(lhr);
+  const gauges = categories
+    .map((id) => scoreInfo.categories.find((category) => category.id === id))
+    .filter(Boolean);
+  if (gauges.length === 0) {
+    throw new Error("The report has none of the selected categories");
+  }
+
+  const testedUrl = lhr.requestedUrl || lhr.finalDisplayedUrl || lhr.finalUrl;
+  const device = getDeviceFromLighthouseResult(lhr);
+  let fetchTime = lhr.fetchTime ? new Date(lhr.fetchTime) : new Date();
+  if (Number.isNaN(fetchTime.getTime())) {
+    fetchTime = new Date();
+  }
+  const naming = {
+    domain: new URL(testedUrl).hostname,
+    url: testedUrl,
+    device,
+    scores: scoreInfo.scores,
+    capturedAt: fetchTime,
+    ...position,
+  };
+
+  // Drawn at the output scale and saved in the output format, like captures
+  const extension = getImageFormat(config).extension;
+  const scale = getOutputScale(config) || window.devicePixelRatio || 1;
+  const renderImage = async (imageGauges) =>
+    encodeOutputImage(
+      await canvasToDataUrl(renderScoreGauges(imageGauges, { scale })),
+      config
+    );
+
+  const images = [];
+  if (config.CROP_MODE !== "per-category") {
+    images.push({
+      filename: getCaptureFilename(config, naming, extension),
+      dataUrl: await renderImage(gauges),
+    });
+  }
+  if (config.CROP_MODE !== "combined") {
+    for (const gauge of gauges) {
+      images.push({
+        filename: getCaptureFilename(config, { ...naming, category: gauge.id }, extension),
+        dataUrl: await renderImage([gauge]),
+      });
+    }
+  }
+
+  return { testedUrl, device, fetchTime, lhr, scores: scoreInfo.scores, images };
+}
+
+// Function to (re)render every imported report for the selected categories
+async function renderReports() {
+  const categories = Array.from(
+    document.querySelectorAll('input[name="categories"]:checked'),
+    (input) => input.value
+  );
+  const config = await loadConfig();
+
+  reportsElement.textContent = "";
+  renderedImages = [];
+
+  for (const [index, report] of importedReports.entries()) {
+    const card = document.createElement("div");
+    card.className = "report";
+    const title = document.createElement("h2");
+    title.textContent = report.name;
+    card.appendChild(title);
+    reportsElement.appendChild(card);
+
+    let rendered;
+    try {
+      if (report.error) throw new Error(report.error);
+      rendered = await renderReportImages(report.lhr, categories, config, {
+        index: index + 1,
+        total: importedReports.length,
+      });
+    } catch (error) {
+      card.classList.add("failed");
+      card.append(`❌ ${error.message}`);
+      continue;
+    }
+
+    const details = document.createElement("div");
+    details.className = "details";
+    details.textContent = `${rendered.testedUrl} · ${rendered.device} · ${rendered.fetchTime.toLocaleString()} · Lighthouse ${rendered.lhr.lighthouseVersion}`;
+    card.appendChild(details);
+
+    for (const image of rendered.images) {
+      const img = document.createElement("img");
+      img.src = image.dataUrl;
+      img.alt = image.filename;
+      img.title = image.filename;
+      card.appendChild(img);
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = `Download ${image.filename}`;
+      button.addEventListener("click", () => downloadImage(image));
+      card.appendChild(button);
+
+      renderedImages.push(image);
+    }
+  }
+
+  const failedCount = importedReports.filter((report) => report.error).length;
+  downloadAllButton.disabled = renderedImages.length === 0;
+  clearButton.disabled = importedReports.length === 0;
+  if (importedReports.length > 0) {
+    showStatus(
+      `${importedReports.length - failedCount} report(s) rendered${
+        failedCount ? `, ${failedCount} could not be read` : ""
+      }.`,
+      failedCount > 0
+    );
+  }
+}
+
+// Function to save one image to the downloads folder, next to regular captures
+function downloadImage(image) {
+  return chrome.downloads.download({
+    url: image.dataUrl,
+    filename: image.filename,
+    saveAs: false,
+  });
+}
+
+dropZone.addEventListener("dragover", (event) => {
+  event.preventDefault();
+  dropZone.classList.add("dragging");
+});
+
+dropZone.addEventListener("dragleave", () => {
+  dropZone.classList.remove("dragging");
+});
+
+dropZone.addEventListener("drop", (event) => {
+  event.preventDefault();
+  dropZone.classList.remove("dragging");
+  importFiles(Array.from(event.dataTransfer.files));
+});
+
+document.getElementById("choose-files").addEventListener("click", () => {
+  fileInput.click();
+});
+
+fileInput.addEventListener("change", () => {
+  const files = Array.from(fileInput.files);
+  fileInput.value = "";
+  importFiles(files);
+});
+
+downloadAllButton.addEventListener("click", async () => {
+  for (const image of renderedImages) {
+    await downloadImage(image);
+  }
+  showStatus(`✅ ${renderedImages.length} image(s) sent to your downloads folder.`);
+});
+
+clearButton.addEventListener("click", () => {
+  importedReports = [];
+  renderReports();
+  showStatus("");
+});
+
+renderCategoryChoices();
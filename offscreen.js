@@ -0,0 +1,20 @@
+// Offscreen document for PageSpeed Insights Screenshot Extension
+// The service worker has no URL.createObjectURL, and downloads from data URLs are
+// limited to 2 MB, so large files (run ZIPs) get their blob: URL from here
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== "offscreen") return;
+
+  if (request.action === "createBlobUrl") {
+    const binary = atob(request.base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    const blob = new Blob([bytes], { type: request.mimeType });
+    sendResponse({ url: URL.createObjectURL(blob) });
+  } else if (request.action === "revokeBlobUrl") {
+    URL.revokeObjectURL(request.url);
+    sendResponse({ revoked: true });
+  }
+});
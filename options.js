@@ -0,0 +1,351 @@
+// Options page for PageSpeed Insights Screenshot Extension
+// Renders the settings form from CONFIG_SCHEMA and persists values via settings.js
+
+const form = document.getElementById("settings-form");
+const statusElement = document.getElementById("status");
+const importFileInput = document.getElementById("import-file");
+
+// Function to show a status message below the action buttons
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.classList.toggle("error", isError);
+}
+
+// Function to build the form fields, one fieldset per schema group
+function renderForm() {
+  const groups = new Map();
+
+  for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+    if (!groups.has(rule.group)) {
+      const fieldset = document.createElement("fieldset");
+      const legend = document.createElement("legend");
+      legend.textContent = rule.group;
+      fieldset.appendChild(legend);
+      form.appendChild(fieldset);
+      groups.set(rule.group, fieldset);
+    }
+
+    const row = document.createElement("div");
+    row.className = "setting";
+    row.dataset.key = key;
+
+    const label = document.createElement("label");
+    label.htmlFor = `setting-${key}`;
+    label.textContent = rule.label;
+
+    if (rule.description) {
+      const description = document.createElement("span");
+      description.className = "description";
+      description.textContent = rule.description;
+      label.appendChild(description);
+    }
+
+    const error = document.createElement("span");
+    error.className = "error";
+    label.appendChild(error);
+
+    const input = document.createElement(
+      rule.type === "select" ? "select" : "input"
+    );
+    input.id = `setting-${key}`;
+    input.name = key;
+
+    if (rule.type === "boolean") {
+      input.type = "checkbox";
+    } else if (rule.type === "color") {
+      input.type = "color";
+    } else if (rule.type === "text") {
+      input.type = rule.secret ? "password" : rule.format === "url" ? "url" : "text";
+      input.className = "text";
+      input.autocomplete = "off";
+      input.spellcheck = false;
+      input.placeholder = String(DEFAULT_CONFIG[key]);
+    } else if (rule.type === "select") {
+      for (const option of rule.options) {
+        input.add(new Option(option.label, option.value));
+      }
+    } else {
+      input.type = "number";
+      input.min = rule.min;
+      input.max = rule.max;
+      input.step = 1;
+      input.placeholder = String(DEFAULT_CONFIG[key]);
+    }
+
+    row.appendChild(label);
+    row.appendChild(input);
+    groups.get(rule.group).appendChild(row);
+  }
+
+  // Live preview of the names the templates produce
+  const preview = document.createElement("ul");
+  preview.id = "filename-preview";
+  groups.get(CONFIG_SCHEMA.FILENAME_TEMPLATE.group).appendChild(preview);
+}
+
+// Function to offer the saved branding profile names for the Branding profile setting
+async function renderBrandingSuggestions() {
+  const list = document.createElement("datalist");
+  list.id = "branding-profiles";
+  for (const profile of await loadBrandingProfiles()) {
+    list.appendChild(new Option(profile.name));
+  }
+  form.appendChild(list);
+  form.elements.BRANDING_PROFILE.setAttribute("list", list.id);
+}
+
+// Sample capture the filename preview is rendered for
+const FILENAME_PREVIEW_SAMPLE = {
+  domain: "www.example.com",
+  url: "https://www.example.com/blog/first-post",
+  device: "mobile",
+  scores: { performance: 87 },
+  index: 3,
+  total: 12,
+};
+
+// Function to show what the filename and folder templates currently in the form produce
+function renderFilenamePreview() {
+  const preview = document.getElementById("filename-preview");
+  preview.textContent = "";
+
+  const values = readForm();
+  for (const key of ["FILENAME_TEMPLATE", "FOLDER_TEMPLATE", "CLIENT_NAME"]) {
+    const check = validateSettingValue(key, values[key]);
+    if (!check.valid) {
+      preview.append(`Preview unavailable: ${check.error}`);
+      return;
+    }
+    values[key] = check.value;
+  }
+
+  const sample = { ...FILENAME_PREVIEW_SAMPLE, capturedAt: new Date() };
+  const examples = [
+    getCaptureFilename(values, sample, "png"),
+    getCaptureFilename(values, { ...sample, category: "performance" }, "png"),
+    getCaptureFilename(values, { ...sample, device: "composite", scores: null }, "png"),
+  ];
+  for (const example of examples) {
+    const item = document.createElement("li");
+    item.textContent = example;
+    preview.appendChild(item);
+  }
+}
+
+// Function to copy config values into the form fields
+function fillForm(config) {
+  for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const input = form.elements[key];
+    if (rule.type === "boolean") {
+      input.checked = Boolean(config[key]);
+    } else {
+      input.value = config[key];
+    }
+  }
+  showFieldErrors({});
+  renderFilenamePreview();
+}
+
+// Function to read the form fields back into a settings object
+function readForm() {
+  const candidate = {};
+  for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const input = form.elements[key];
+    candidate[key] = rule.type === "boolean" ? input.checked : input.value;
+  }
+  return candidate;
+}
+
+// Function to mark invalid fields with their validation message
+function showFieldErrors(errors) {
+  for (const row of form.querySelectorAll(".setting")) {
+    const message = errors[row.dataset.key] || "";
+    row.classList.toggle("invalid", Boolean(message));
+    row.querySelector(".error").textContent = message;
+  }
+}
+
+form.addEventListener("submit", async (event) => {
+  event.preventDefault();
+
+  const candidate = readForm();
+
+  // The API endpoint may be a local mock server without CORS headers, so ask for
+  // access to its origin while the click still counts as a user gesture
+  let endpointAccess = true;
+  if (candidate.CAPTURE_SOURCE === "api") {
+    const check = validateSettingValue("PSI_API_ENDPOINT", candidate.PSI_API_ENDPOINT);
+    if (check.valid) {
+      endpointAccess = await chrome.permissions.request({
+        origins: [`${new URL(check.value).origin}/*`],
+      });
+    }
+  }
+
+  try {
+    const config = await saveConfig(candidate);
+    fillForm(config);
+    showStatus(
+      endpointAccess
+        ? "✅ Settings saved. They apply to the next capture."
+        : "⚠️ Settings saved, but API captures may fail without access to the endpoint.",
+      !endpointAccess
+    );
+  } catch (error) {
+    if (error.validationErrors) {
+      showFieldErrors(error.validationErrors);
+      showStatus("❌ Fix the highlighted settings before saving.", true);
+    } else {
+      console.error("❌ Failed to save settings:", error);
+      showStatus(`❌ Failed to save settings: ${error.message}`, true);
+    }
+  }
+});
+
+document.getElementById("reset").addEventListener("click", async () => {
+  if (!confirm("Reset all settings to their default values?")) {
+    return;
+  }
+
+  const config = await resetConfig();
+  fillForm(config);
+  showStatus("↩️ Settings reset to defaults.");
+});
+
+document.getElementById("export").addEventListener("click", async () => {
+  const config = await loadConfig();
+  const blob = new Blob([exportConfig(config)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "pagespeed-screenshot-settings.json";
+  link.click();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  showStatus("📤 Settings exported.");
+});
+
+document.getElementById("import").addEventListener("click", () => {
+  importFileInput.click();
+});
+
+importFileInput.addEventListener("change", async () => {
+  const file = importFileInput.files[0];
+  importFileInput.value = "";
+  if (!file) return;
+
+  const { config, errors, ignored } = parseImportedConfig(await file.text());
+
+  if (errors._root) {
+    showStatus(`❌ ${errors._root}`, true);
+    return;
+  }
+
+  // Imported values are loaded into the form for review - nothing is stored until Save
+  fillForm({ ...(await loadConfig()), ...config });
+  showFieldErrors(errors);
+
+  const invalidCount = Object.keys(errors).length;
+  const notes = [];
+  if (invalidCount > 0) notes.push(`${invalidCount} invalid value(s) skipped`);
+  if (ignored.length > 0) notes.push(`unknown keys ignored: ${ignored.join(", ")}`);
+
+  showStatus(
+    `📥 Imported ${Object.keys(config).length} setting(s)${
+      notes.length ? ` (${notes.join("; ")})` : ""
+    }. Review and press Save to apply.`,
+    invalidCount > 0
+  );
+});
+
+// Largest logo accepted for the PDF report (it is kept in chrome.storage.local)
+const MAX_LOGO_BYTES = 1024 * 1024;
+
+// Function to show the stored PDF logo, if any
+async function renderLogo() {
+  const stored = await chrome.storage.local.get(PDF_LOGO_STORAGE_KEY);
+  const logo = stored[PDF_LOGO_STORAGE_KEY];
+  const preview = document.getElementById("logo-preview");
+
+  preview.hidden = !logo;
+  preview.src = logo || "";
+  document.getElementById("remove-logo").hidden = !logo;
+}
+
+document.getElementById("choose-logo").addEventListener("click", () => {
+  document.getElementById("logo-file").click();
+});
+
+document.getElementById("logo-file").addEventListener("change", (event) => {
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file) return;
+
+  if (!["image/png", "image/jpeg"].includes(file.type)) {
+    showStatus("❌ The logo must be a PNG or JPEG image.", true);
+    return;
+  }
+  if (file.size > MAX_LOGO_BYTES) {
+    showStatus("❌ The logo must be 1 MB or smaller.", true);
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = async () => {
+    await chrome.storage.local.set({ [PDF_LOGO_STORAGE_KEY]: reader.result });
+    await renderLogo();
+    showStatus("🖼️ PDF logo saved.");
+  };
+  reader.readAsDataURL(file);
+});
+
+document.getElementById("remove-logo").addEventListener("click", async () => {
+  await chrome.storage.local.remove(PDF_LOGO_STORAGE_KEY);
+  await renderLogo();
+  showStatus("🗑️ PDF logo removed.");
+});
+
+// Function to list the keyboard shortcuts with their current bindings
+async function renderShortcuts() {
+  const commands = await chrome.commands.getAll();
+  const tbody = document.querySelector("#shortcuts tbody");
+  tbody.textContent = "";
+
+  for (const command of commands) {
+    // Skip Chrome's built-in "_execute_action" (open the popup) entry
+    if (command.name.startsWith("_")) continue;
+
+    const row = tbody.insertRow();
+    row.insertCell().textContent = command.description;
+    const binding = row.insertCell();
+    if (command.shortcut) {
+      const key = document.createElement("kbd");
+      key.textContent = command.shortcut;
+      binding.appendChild(key);
+    } else {
+      binding.className = "unset";
+      binding.textContent = "Not set";
+    }
+  }
+}
+
+// chrome:// pages cannot be linked to, only opened through the tabs API
+document.getElementById("edit-shortcuts").addEventListener("click", () => {
+  chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+});
+
+// Bindings are changed in another tab - refresh them on coming back
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "visible") {
+    renderShortcuts();
+  }
+});
+
+form.addEventListener("input", renderFilenamePreview);
+
+renderForm();
+renderBrandingSuggestions();
+loadConfig().then(fillForm);
+renderLogo();
+renderShortcuts();
@@ -0,0 +1,241 @@
+// Client PDF report for PageSpeed Insights Screenshot Extension
+// Lays out a capture run as a cover page plus one section per URL (pdf-writer.js).
+// Loaded by the background service worker (importScripts).
+
+// Page margins and content width in points
+const PDF_MARGIN = 40;
+const PDF_CONTENT_WIDTH = PDF_PAGE_WIDTH - PDF_MARGIN * 2;
+
+// Words for the score bands in the per-URL summary
+const SCORE_BAND_WORDS = { pass: "good", average: "needs improvement", fail: "poor" };
+
+// Function to read the stored report logo, if any
+async function loadPdfLogo() {
+  const stored = await chrome.storage.local.get(PDF_LOGO_STORAGE_KEY);
+  return stored[PDF_LOGO_STORAGE_KEY] || null;
+}
+
+// Function to re-encode an image data URL as JPEG bytes on white (PDF images
+// here are DCT-encoded, which has no transparency)
+async function imageDataUrlToJpeg(dataUrl, quality = 0.92) {
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, bitmap.width, bitmap.height);
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const jpeg = await canvas.convertToBlob({ type: "image/jpeg", quality });
+  return {
+    bytes: new Uint8Array(await jpeg.arrayBuffer()),
+    width: canvas.width,
+    height: canvas.height,
+  };
+}
+
+// Function to scale an image to fit a box, keeping its aspect ratio
+function fitPdfImage(image, maxWidth, maxHeight) {
+  const scale = Math.min(maxWidth / image.width, maxHeight / image.height, 1);
+  return { width: image.width * scale, height: image.height * scale };
+}
+
+// Function to write the short summary paragraph for one URL
+function summarizeUrlCaptures(captures) {
+  const sentences = [];
+
+  const performance = captures
+    .filter((capture) => capture.scores && capture.scores.performance != null)
+    .map((capture) => {
+      const score = capture.scores.performance;
+      return `${capture.device} performance scores ${score} (${
+        SCORE_BAND_WORDS[getScoreBand(score).rating]
+      })`;
+    });
+  if (performance.length > 0) {
+    const text = performance.join("; ");
+    sentences.push(`${text.charAt(0).toUpperCase()}${text.slice(1)}.`);
+  }
+
+  const failing = captures.flatMap((capture) =>
+    (capture.metrics || [])
+      .filter((metric) => metric.rating === "fail")
+      .map((metric) => `${metric.title} (${capture.device}, ${metric.displayValue})`)
+  );
+  if (failing.length > 0) {
+    sentences.push(`Needs attention: ${failing.join(", ")}.`);
+  } else if (captures.some((capture) => (capture.metrics || []).length > 0)) {
+    sentences.push("No lab metric is in the poor range.");
+  }
+
+  return sentences.join(" ");
+}
+
+// Function to draw the cover page
+function drawPdfCover(pdf, report, logo) {
+  const page = addPdfPage(pdf);
+  let y = 160;
+
+  if (logo) {
+    const size = fitPdfImage(logo, 220, 100);
+    drawPdfImage(page, logo, (PDF_PAGE_WIDTH - size.width) / 2, y - size.height - 24, size.width, size.height);
+  }
+
+  drawPdfRect(page, PDF_MARGIN, y, PDF_CONTENT_WIDTH, 3, "#1a73e8");
+  y += 36;
+
+  for (const line of wrapPdfText(report.title, 28, PDF_CONTENT_WIDTH, true)) {
+    drawPdfText(page, line, PDF_PAGE_WIDTH / 2, y, { size: 28, bold: true, align: "center" });
+    y += 36;
+  }
+
+  y += 12;
+  for (const line of wrapPdfText(report.domains.join(", "), 18, PDF_CONTENT_WIDTH)) {
+    drawPdfText(page, line, PDF_PAGE_WIDTH / 2, y, { size: 18, align: "center", color: "#1967d2" });
+    y += 24;
+  }
+
+  drawPdfText(
+    page,
+    report.createdAt.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" }),
+    PDF_PAGE_WIDTH / 2,
+    y + 8,
+    { size: 14, align: "center", color: "#5f6368" }
+  );
+
+  // Pages covered, as a simple contents list
+  y += 72;
+  drawPdfText(page, "Pages in this report", PDF_MARGIN, y, { size: 12, bold: true });
+  y += 20;
+  report.sections.forEach((section, index) => {
+    if (y > PDF_PAGE_HEIGHT - PDF_MARGIN - 40) return;
+    drawPdfText(page, `${index + 1}.  ${section.url}`, PDF_MARGIN, y, { size: 10, color: "#3c4043" });
+    y += 15;
+  });
+
+  drawPdfText(
+    page,
+    "Scores and lab metrics from Google PageSpeed Insights (Lighthouse).",
+    PDF_PAGE_WIDTH / 2,
+    PDF_PAGE_HEIGHT - PDF_MARGIN - 12,
+    { size: 9, align: "center", color: "#5f6368" }
+  );
+}
+
+// Function to draw one URL's section: heading, summary, then each device
+function drawPdfSection(pdf, section, index) {
+  let page = addPdfPage(pdf);
+  let y = PDF_MARGIN;
+
+  for (const line of wrapPdfText(`${index + 1}. ${section.url}`, 16, PDF_CONTENT_WIDTH, true)) {
+    drawPdfText(page, line, PDF_MARGIN, y, { size: 16, bold: true });
+    y += 20;
+  }
+  drawPdfText(page, `Captured ${new Date(section.captures[0].capturedAt).toLocaleString()}`, PDF_MARGIN, y, {
+    size: 9,
+    color: "#5f6368",
+  });
+  y += 20;
+
+  const summary = summarizeUrlCaptures(section.captures);
+  if (summary) {
+    for (const line of wrapPdfText(summary, 11, PDF_CONTENT_WIDTH)) {
+      drawPdfText(page, line, PDF_MARGIN, y, { size: 11, color: "#3c4043" });
+      y += 15;
+    }
+    y += 8;
+  }
+
+  for (const capture of section.captures) {
+    const metrics = capture.metrics || [];
+    const imageSize = capture.jpeg ? fitPdfImage(capture.jpeg, PDF_CONTENT_WIDTH, 150) : null;
+    const blockHeight = 30 + (imageSize ? imageSize.height + 12 : 0) + 24 + metrics.length * 15;
+
+    // Keep a device block on one page
+    if (y + blockHeight > PDF_PAGE_HEIGHT - PDF_MARGIN) {
+      page = addPdfPage(pdf);
+      y = PDF_MARGIN;
+    }
+
+    drawPdfRect(page, PDF_MARGIN, y, PDF_CONTENT_WIDTH, 1, "#dadce0");
+    y += 10;
+    drawPdfText(page, capture.device.charAt(0).toUpperCase() + capture.device.slice(1), PDF_MARGIN, y, {
+      size: 13,
+      bold: true,
+    });
+    y += 20;
+
+    if (imageSize) {
+      drawPdfImage(page, capture.jpeg, PDF_MARGIN, y, imageSize.width, imageSize.height);
+      y += imageSize.height + 12;
+    }
+
+    // Scores in one line, each in its band colour
+    let x = PDF_MARGIN;
+    for (const category of SCORE_CATEGORIES) {
+      const score = capture.scores ? capture.scores[category.id] : null;
+      if (score == null) continue;
+      const text = `${category.label}: ${score}`;
+      drawPdfText(page, text, x, y, { size: 11, bold: true, color: getScoreBand(score).text });
+      x += measurePdfText(text, 11, true) + 18;
+    }
+    y += 24;
+
+    for (const metric of metrics) {
+      const band = SCORE_BANDS.find((candidate) => candidate.rating === metric.rating);
+      drawPdfRect(page, PDF_MARGIN, y + 2, 6, 6, band ? band.arc : NO_SCORE_BAND.arc);
+      drawPdfText(page, metric.title, PDF_MARGIN + 14, y, { size: 10 });
+      drawPdfText(page, metric.displayValue, PDF_MARGIN + 260, y, {
+        size: 10,
+        bold: true,
+        color: band ? band.text : NO_SCORE_BAND.text,
+      });
+      y += 15;
+    }
+    y += 12;
+  }
+}
+
+// Function to build the client report PDF for a run
+// report: { title, createdAt: Date, captures: [{ url, domain, device, scores, metrics,
+// capturedAt, image }], logo: data URL or null }
+async function buildClientReportPdf(report) {
+  const pdf = createPdf();
+
+  // One section per URL, in capture order, devices in capture order within it
+  const sections = [];
+  for (const capture of report.captures) {
+    let section = sections.find((candidate) => candidate.url === capture.url);
+    if (!section) {
+      section = { url: capture.url, captures: [] };
+      sections.push(section);
+    }
+
+    let jpeg = null;
+    if (capture.image) {
+      try {
+        jpeg = addPdfJpeg(pdf, await imageDataUrlToJpeg(capture.image));
+      } catch (error) {
+        console.warn(`⚠️ Could not add ${capture.device} image of ${capture.url} to the PDF:`, error);
+      }
+    }
+    section.captures.push({ ...capture, jpeg });
+  }
+
+  let logo = null;
+  if (report.logo) {
+    try {
+      logo = addPdfJpeg(pdf, await imageDataUrlToJpeg(report.logo));
+    } catch (error) {
+      console.warn("⚠️ Could not add the logo to the PDF:", error);
+    }
+  }
+
+  const domains = [...new Set(report.captures.map((capture) => capture.domain))];
+  drawPdfCover(pdf, { ...report, domains, sections }, logo);
+  sections.forEach((section, index) => drawPdfSection(pdf, section, index));
+
+  return buildPdf(pdf);
+}
@@ -0,0 +1,226 @@
+// PDF writer for PageSpeed Insights Screenshot Extension
+// Just enough PDF to lay out text, filled rectangles and JPEG images on A4 pages,
+// using the built-in Helvetica fonts. Loaded by the background service worker.
+
+// A4 in PDF points (1/72 inch)
+const PDF_PAGE_WIDTH = 595;
+const PDF_PAGE_HEIGHT = 842;
+
+// Characters outside Latin-1 that WinAnsiEncoding still has a code for
+const PDF_WIN_ANSI_EXTRAS = {
+  "–": 0x96, // en dash
+  "—": 0x97, // em dash
+  "•": 0x95, // bullet
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "…": 0x85, // ellipsis
+  "€": 0x80, // euro
+};
+
+// Function to start an empty document
+function createPdf() {
+  return { pages: [], images: [] };
+}
+
+// Function to add a page; drawing calls take top-left based coordinates in points
+function addPdfPage(pdf) {
+  const page = { operations: [] };
+  pdf.pages.push(page);
+  return page;
+}
+
+// Function to turn "#rrggbb" (or "#rgb") into PDF colour operands
+function pdfColor(hex) {
+  let digits = hex.replace("#", "");
+  if (digits.length === 3) {
+    digits = digits.replace(/./g, "$&$&");
+  }
+  const value = parseInt(digits, 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+    .map((channel) => (channel / 255).toFixed(3))
+    .join(" ");
+}
+
+// Function to encode text as a WinAnsi PDF string literal
+function pdfString(text) {
+  let encoded = "";
+  for (const char of String(text)) {
+    const code = PDF_WIN_ANSI_EXTRAS[char] || char.charCodeAt(0);
+    if (code > 255 || char.length > 1) {
+      encoded += "?";
+    } else if (char === "(" || char === ")" || char === "\\") {
+      encoded += `\\${char}`;
+    } else if (code < 32) {
+      encoded += " ";
+    } else {
+      encoded += String.fromCharCode(code);
+    }
+  }
+  return `(${encoded})`;
+}
+
+// Function to estimate the width of a line of Helvetica text (average glyph widths)
+function measurePdfText(text, size, bold = false) {
+  let units = 0;
+  for (const char of String(text)) {
+    if (char === " ") units += 278;
+    else if (/[il.,:;'|!]/.test(char)) units += 250;
+    else if (/[mwMW]/.test(char)) units += 850;
+    else if (/[A-Z]/.test(char)) units += 680;
+    else if (/[0-9]/.test(char)) units += 556;
+    else units += 520;
+  }
+  return (units * size * (bold ? 1.05 : 1)) / 1000;
+}
+
+// Function to split text into lines that fit a width
+function wrapPdfText(text, size, maxWidth, bold = false) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && measurePdfText(candidate, size, bold) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Function to draw one line of text; y is the top of the line
+// options: { size, bold, color, align: "left" | "center" | "right" }
+function drawPdfText(page, text, x, y, options = {}) {
+  const size = options.size || 11;
+  const font = options.bold ? "F2" : "F1";
+  let left = x;
+  if (options.align === "center") left = x - measurePdfText(text, size, options.bold) / 2;
+  if (options.align === "right") left = x - measurePdfText(text, size, options.bold);
+
+  page.operations.push(
+    `BT /${font} ${size} Tf ${pdfColor(options.color || "#202124")} rg ` +
+      `${left.toFixed(2)} ${(PDF_PAGE_HEIGHT - y - size * 0.8).toFixed(2)} Td ` +
+      `${pdfString(text)} Tj ET`
+  );
+}
+
+// Function to draw a filled rectangle
+function drawPdfRect(page, x, y, width, height, color) {
+  page.operations.push(
+    `${pdfColor(color)} rg ${x.toFixed(2)} ${(PDF_PAGE_HEIGHT - y - height).toFixed(2)} ` +
+      `${width.toFixed(2)} ${height.toFixed(2)} re f`
+  );
+}
+
+// Function to add a JPEG to the document; returns the image for drawPdfImage
+// jpeg: { bytes: Uint8Array, width, height } in pixels
+function addPdfJpeg(pdf, jpeg) {
+  const image = { name: `Im${pdf.images.length + 1}`, ...jpeg };
+  pdf.images.push(image);
+  return image;
+}
+
+// Function to draw an added image at the given size in points
+function drawPdfImage(page, image, x, y, width, height) {
+  page.operations.push(
+    `q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ` +
+      `${(PDF_PAGE_HEIGHT - y - height).toFixed(2)} cm /${image.name} Do Q`
+  );
+}
+
+// Function to serialise the document into PDF bytes
+function buildPdf(pdf) {
+  const encoder = (text) =>
+    Uint8Array.from(text, (char) => char.charCodeAt(0) & 0xff);
+  const objects = []; // Byte chunks of each object, numbered from 1
+
+  const catalogId = 1;
+  const pagesId = 2;
+  const regularFontId = 3;
+  const boldFontId = 4;
+  let nextId = 5;
+
+  const imageIds = pdf.images.map(() => nextId++);
+  const pageIds = pdf.pages.map(() => ({ page: nextId++, content: nextId++ }));
+
+  objects[catalogId] = [encoder(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`)];
+  objects[pagesId] = [
+    encoder(
+      `<< /Type /Pages /Count ${pdf.pages.length} /Kids [${pageIds
+        .map((ids) => `${ids.page} 0 R`)
+        .join(" ")}] >>`
+    ),
+  ];
+  objects[regularFontId] = [
+    encoder("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"),
+  ];
+  objects[boldFontId] = [
+    encoder(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+    ),
+  ];
+
+  pdf.images.forEach((image, index) => {
+    objects[imageIds[index]] = [
+      encoder(
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+          `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`
+      ),
+      image.bytes,
+      encoder("\nendstream"),
+    ];
+  });
+
+  const imageResources = pdf.images
+    .map((image, index) => `/${image.name} ${imageIds[index]} 0 R`)
+    .join(" ");
+
+  pdf.pages.forEach((page, index) => {
+    const content = encoder(page.operations.join("\n"));
+    objects[pageIds[index].page] = [
+      encoder(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> ` +
+          `/XObject << ${imageResources} >> >> /Contents ${pageIds[index].content} 0 R >>`
+      ),
+    ];
+    objects[pageIds[index].content] = [
+      encoder(`<< /Length ${content.length} >>\nstream\n`),
+      content,
+      encoder("\nendstream"),
+    ];
+  });
+
+  // Header, numbered objects, cross-reference table and trailer
+  const chunks = [encoder("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n")];
+  let offset = chunks[0].length;
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = offset;
+    const parts = [encoder(`${id} 0 obj\n`), ...objects[id], encoder("\nendobj\n")];
+    for (const part of parts) {
+      chunks.push(part);
+      offset += part.length;
+    }
+  }
+
+  let xref = `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    xref += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  xref += `trailer\n<< /Size ${objects.length} /Root ${catalogId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`;
+  chunks.push(encoder(xref));
+
+  const bytes = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+  let position = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, position);
+    position += chunk.length;
+  }
+  return bytes;
+}
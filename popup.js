@@ -0,0 +1,153 @@
+// Action popup for PageSpeed Insights Screenshot Extension
+// Lets the user choose devices, category gauges and output before each capture
+
+const planForm = document.getElementById("plan-form");
+const captureButton = document.getElementById("capture");
+const statusElement = document.getElementById("status");
+
+// Function to add a checkbox or radio input to one of the fieldsets
+function addChoice(fieldsetId, type, name, value, labelText) {
+  const fieldset = document.getElementById(fieldsetId);
+  const label = document.createElement("label");
+  const input = document.createElement("input");
+  input.type = type;
+  input.name = name;
+  input.value = value;
+  label.appendChild(input);
+  label.append(` ${labelText}`);
+
+  // Keep hints (if any) below the choices
+  const hint = fieldset.querySelector(".hint");
+  fieldset.insertBefore(label, hint);
+}
+
+// Function to build the choices from the shared plan definitions
+function renderChoices() {
+  for (const device of DEVICE_TYPES) {
+    addChoice(
+      "devices",
+      "checkbox",
+      "devices",
+      device,
+      device.charAt(0).toUpperCase() + device.slice(1)
+    );
+  }
+
+  for (const category of SCORE_CATEGORIES) {
+    addChoice("categories", "checkbox", "categories", category.id, category.label);
+  }
+
+  for (const mode of OUTPUT_MODES) {
+    addChoice("output", "radio", "outputMode", mode.id, mode.label);
+  }
+}
+
+// Function to tick the inputs that match a plan
+function fillChoices(plan) {
+  for (const input of planForm.querySelectorAll("input")) {
+    if (input.name === "outputMode") {
+      input.checked = input.value === plan.outputMode;
+    } else {
+      input.checked = plan[input.name].includes(input.value);
+    }
+  }
+}
+
+// Function to read the ticked inputs back into a plan
+function readChoices() {
+  const checkedValues = (name) =>
+    Array.from(
+      planForm.querySelectorAll(`input[name="${name}"]:checked`),
+      (input) => input.value
+    );
+
+  return {
+    devices: checkedValues("devices"),
+    categories: checkedValues("categories"),
+    outputMode: checkedValues("outputMode")[0],
+  };
+}
+
+planForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+
+  const choices = readChoices();
+  if (choices.devices.length === 0) {
+    statusElement.textContent = "Pick at least one device.";
+    return;
+  }
+  if (choices.categories.length === 0) {
+    statusElement.textContent = "Pick at least one category gauge.";
+    return;
+  }
+
+  const plan = await saveCapturePlan(choices);
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  // The background worker runs the capture - the popup closes so the page keeps focus
+  chrome.runtime.sendMessage({ action: "startCapture", tabId: tab.id, plan });
+  window.close();
+});
+
+document.getElementById("open-batch").addEventListener("click", (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("batch.html") });
+  window.close();
+});
+
+document.getElementById("open-schedules").addEventListener("click", (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("schedules.html") });
+  window.close();
+});
+
+document.getElementById("open-history").addEventListener("click", (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("history.html") });
+  window.close();
+});
+
+document.getElementById("open-import").addEventListener("click", (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("import.html") });
+  window.close();
+});
+
+document.getElementById("open-branding").addEventListener("click", (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("branding.html") });
+  window.close();
+});
+
+document.getElementById("open-options").addEventListener("click", (event) => {
+  event.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+// Function to disable capturing when the active tab cannot be captured: the page
+// mode needs a PageSpeed Insights report, the API mode any http(s) page
+async function checkActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const config = await loadConfig();
+
+  if (config.CAPTURE_SOURCE === "api") {
+    if (!tab || !tab.url || !/^https?:/.test(tab.url)) {
+      captureButton.disabled = true;
+      statusElement.textContent = "Open the page you want to test to capture it.";
+    } else {
+      statusElement.textContent =
+        "API mode: runs PageSpeed Insights for this page and downloads the gauges.";
+    }
+    return;
+  }
+
+  if (!tab || !tab.url || !tab.url.includes("pagespeed.web.dev/")) {
+    captureButton.disabled = true;
+    statusElement.textContent =
+      "Open a PageSpeed Insights result page (https://pagespeed.web.dev/) to capture.";
+  }
+}
+
+renderChoices();
+loadCapturePlan().then(fillChoices);
+checkActiveTab();
@@ -0,0 +1,179 @@
+// PageSpeed Insights API client and Lighthouse result parsing for PageSpeed Insights
+// Screenshot Extension. Loaded by the background service worker (importScripts) for the
+// API capture mode, and by the import page for Lighthouse JSON files
+
+// Lab metrics shown in the report's metrics grid, in display order
+const LAB_METRIC_AUDITS = [
+  "first-contentful-paint",
+  "largest-contentful-paint",
+  "total-blocking-time",
+  "cumulative-layout-shift",
+  "speed-index",
+];
+
+// Function to build the runPagespeed request URL for one strategy (mobile/desktop)
+function buildRunPagespeedUrl(endpoint, url, strategy, categories, apiKey) {
+  const requestUrl = new URL(endpoint);
+  requestUrl.searchParams.set("url", url);
+  requestUrl.searchParams.set("strategy", strategy);
+
+  // The API expects upper-case, underscored category names
+  for (const category of categories) {
+    requestUrl.searchParams.append(
+      "category",
+      category.toUpperCase().replace(/-/g, "_")
+    );
+  }
+
+  if (apiKey) {
+    requestUrl.searchParams.set("key", apiKey);
+  }
+
+  return requestUrl.toString();
+}
+
+// Function to run Lighthouse for a URL through the API and return the Lighthouse result
+// options: { endpoint, apiKey, categories, timeoutMs }
+async function fetchLighthouseResult(url, strategy, options) {
+  const requestUrl = buildRunPagespeedUrl(
+    options.endpoint,
+    url,
+    strategy,
+    options.categories,
+    options.apiKey
+  );
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(requestUrl, { signal: controller.signal });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw new Error(
+        `PageSpeed Insights API timed out after ${Math.round(
+          options.timeoutMs / 1000
+        )}s`
+      );
+    }
+    throw new Error(`PageSpeed Insights API request failed: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  let body;
+  try {
+    body = await response.json();
+  } catch (error) {
+    throw new Error(
+      `PageSpeed Insights API returned an unreadable response (HTTP ${response.status})`
+    );
+  }
+
+  // Errors come back as { error: { code, message } }
+  if (!response.ok || body.error) {
+    const message = body.error && body.error.message;
+    throw new Error(
+      `PageSpeed Insights API error (HTTP ${response.status})${
+        message ? `: ${message}` : ""
+      }`
+    );
+  }
+
+  if (!body.lighthouseResult || !body.lighthouseResult.categories) {
+    throw new Error("PageSpeed Insights API response has no Lighthouse result");
+  }
+
+  return body.lighthouseResult;
+}
+
+// Function to get the Lighthouse result out of a parsed JSON file: a bare Lighthouse
+// result (lighthouse --output=json) or a saved PageSpeed Insights API response
+function unwrapLighthouseResult(json) {
+  const lhr = json && json.lighthouseResult ? json.lighthouseResult : json;
+  if (!lhr || typeof lhr !== "object" || !lhr.categories || !lhr.lighthouseVersion) {
+    throw new Error("Not a Lighthouse result (no categories or lighthouseVersion)");
+  }
+  return lhr;
+}
+
+// Function to tell which device a Lighthouse result was run for
+function getDeviceFromLighthouseResult(lhr) {
+  const settings = lhr.configSettings || {};
+  // formFactor since Lighthouse 7, emulatedFormFactor before
+  const formFactor = settings.formFactor || settings.emulatedFormFactor;
+  return formFactor === "desktop" ? "desktop" : "mobile";
+}
+
+// Function to read the 0-100 category scores from a Lighthouse result,
+// in the same { scores, categories } shape the page mode extracts from the gauges
+function getScoresFromLighthouseResult(lhr) {
+  const categories = [];
+  for (const [id, category] of Object.entries(lhr.categories || {})) {
+    categories.push({
+      id,
+      label: category.title || id,
+      score:
+        typeof category.score === "number" ? Math.round(category.score * 100) : null,
+    });
+  }
+
+  const scores = {};
+  for (const category of categories) {
+    scores[category.id] = category.score;
+  }
+
+  return { scores, categories };
+}
+
+// Function to read the lab metrics from a Lighthouse result,
+// in the same shape the page mode extracts from the metrics grid
+function getLabMetricsFromLighthouseResult(lhr) {
+  const audits = lhr.audits || {};
+  const metrics = [];
+
+  for (const id of LAB_METRIC_AUDITS) {
+    const audit = audits[id];
+    if (!audit) continue;
+
+    const displayValue = (audit.displayValue || "").replace(/\u00a0/g, " ");
+
+    // The number comes from numericValue, as localized display values may use
+    // decimal commas ("1,2 s"); only the unit shown ("s" or "ms") is read from the
+    // display value, so the value matches the page mode's metrics grid
+    const unitMatch = displayValue.match(/[\d.,]+\s*([a-zA-Z]*)/);
+    const unit = unitMatch ? unitMatch[1].toLowerCase() : "";
+    const numericValue =
+      typeof audit.numericValue === "number" ? audit.numericValue : null;
+    const value =
+      numericValue !== null && audit.numericUnit === "millisecond" && unit === "s"
+        ? numericValue / 1000
+        : numericValue;
+
+    // Lighthouse rates metrics with the same 0.9 / 0.5 boundaries as the gauges
+    const rating =
+      typeof audit.score !== "number"
+        ? null
+        : audit.score >= 0.9
+        ? "pass"
+        : audit.score >= 0.5
+        ? "average"
+        : "fail";
+
+    metrics.push({
+      id,
+      title: audit.title,
+      displayValue,
+      value: Number.isFinite(value) ? value : null,
+      unit,
+      numericValueMs:
+        audit.numericUnit === "millisecond" && numericValue !== null
+          ? Math.round(numericValue)
+          : null,
+      rating,
+    });
+  }
+
+  return { found: metrics.length > 0, metrics };
+}
@@ -0,0 +1,128 @@
+// Shared schedule storage for PageSpeed Insights Screenshot Extension
+// Loaded by the background service worker (importScripts) and the schedules page
+
+// chrome.storage.local keys for saved schedules and their run log
+const SCHEDULES_STORAGE_KEY = "schedules";
+const SCHEDULE_RUNS_STORAGE_KEY = "scheduleRuns";
+
+// Only the most recent runs are kept in the log
+const MAX_SCHEDULE_RUNS = 100;
+
+// chrome.alarms names are this prefix followed by the schedule id
+const SCHEDULE_ALARM_PREFIX = "schedule:";
+
+const SCHEDULE_CADENCES = [
+  { id: "daily", label: "Daily" },
+  { id: "weekly", label: "Weekly" },
+  { id: "monthly", label: "Monthly" },
+];
+
+// Settings a schedule may override for its own runs
+const SCHEDULE_OUTPUT_KEYS = [
+  "CROP_MODE",
+  "COMPOSITE_MODE",
+  "WRITE_JSON_SIDECAR",
+  "FULL_REPORT_CAPTURE",
+  "BUNDLE_ZIP",
+  "PDF_REPORT",
+  "CLIENT_NAME",
+  "BRANDING_PROFILE",
+];
+
+// Function to work out the next time a schedule should run after a given date
+function computeNextRunAt(schedule, from = new Date()) {
+  const [hours, minutes] = (schedule.time || "09:00").split(":").map(Number);
+  const next = new Date(from);
+  next.setSeconds(0, 0);
+  next.setHours(hours, minutes);
+
+  if (schedule.cadence === "weekly") {
+    const dayOffset = (schedule.dayOfWeek - next.getDay() + 7) % 7;
+    next.setDate(next.getDate() + dayOffset);
+    if (next <= from) next.setDate(next.getDate() + 7);
+  } else if (schedule.cadence === "monthly") {
+    // Days past the end of a month run on its last day (e.g. the 31st in April)
+    const setMonthDay = (date, monthOffset) => {
+      const target = new Date(date.getFullYear(), date.getMonth() + monthOffset, 1);
+      const lastDay = new Date(
+        target.getFullYear(),
+        target.getMonth() + 1,
+        0
+      ).getDate();
+      target.setDate(Math.min(schedule.dayOfMonth, lastDay));
+      target.setHours(hours, minutes, 0, 0);
+      return target;
+    };
+
+    const candidate = setMonthDay(next, 0);
+    return (candidate > from ? candidate : setMonthDay(next, 1)).getTime();
+  } else {
+    if (next <= from) next.setDate(next.getDate() + 1);
+  }
+
+  return next.getTime();
+}
+
+// Function to check a schedule from the schedules page before it is saved
+function validateSchedule(schedule) {
+  const errors = [];
+
+  if (!schedule.name || !schedule.name.trim()) {
+    errors.push("Give the schedule a name");
+  }
+  if (!Array.isArray(schedule.urls) || schedule.urls.length === 0) {
+    errors.push("Add at least one URL");
+  }
+  if (!Array.isArray(schedule.devices) || schedule.devices.length === 0) {
+    errors.push("Pick at least one device");
+  }
+  if (!SCHEDULE_CADENCES.some((cadence) => cadence.id === schedule.cadence)) {
+    errors.push("Pick a cadence");
+  }
+  if (!/^\d{2}:\d{2}$/.test(schedule.time || "")) {
+    errors.push("Pick a time of day");
+  }
+  if (
+    schedule.cadence === "weekly" &&
+    !(schedule.dayOfWeek >= 0 && schedule.dayOfWeek <= 6)
+  ) {
+    errors.push("Pick a day of the week");
+  }
+  if (
+    schedule.cadence === "monthly" &&
+    !(schedule.dayOfMonth >= 1 && schedule.dayOfMonth <= 31)
+  ) {
+    errors.push("Pick a day of the month between 1 and 31");
+  }
+
+  const { errors: outputErrors } = validateConfig(schedule.outputOverrides || {});
+  errors.push(...Object.values(outputErrors));
+
+  return errors;
+}
+
+// Function to read all saved schedules
+async function loadSchedules() {
+  const stored = await chrome.storage.local.get(SCHEDULES_STORAGE_KEY);
+  return stored[SCHEDULES_STORAGE_KEY] || [];
+}
+
+// Function to replace the saved schedules
+async function saveSchedules(schedules) {
+  await chrome.storage.local.set({ [SCHEDULES_STORAGE_KEY]: schedules });
+}
+
+// Function to read the run log, newest first
+async function loadScheduleRuns() {
+  const stored = await chrome.storage.local.get(SCHEDULE_RUNS_STORAGE_KEY);
+  return stored[SCHEDULE_RUNS_STORAGE_KEY] || [];
+}
+
+// Function to add a run to the front of the log
+async function recordScheduleRun(run) {
+  const runs = await loadScheduleRuns();
+  runs.unshift(run);
+  await chrome.storage.local.set({
+    [SCHEDULE_RUNS_STORAGE_KEY]: runs.slice(0, MAX_SCHEDULE_RUNS),
+  });
+}
@@ -0,0 +1,362 @@
+// Schedules page for PageSpeed Insights Screenshot Extension
+// Edits saved schedules and shows what ran while nobody was watching
+
+const scheduleForm = document.getElementById("schedule-form");
+const statusElement = document.getElementById("status");
+const cancelEditButton = document.getElementById("cancel-edit");
+
+// Id of the schedule being edited, or null for a new one
+let editingId = null;
+
+// Capture source from the settings - schedules run with it, so the API mode opens no
+// window and needs no access to all sites
+let captureSource = DEFAULT_CONFIG.CAPTURE_SOURCE;
+
+// Function to show a status message below the form
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.classList.toggle("error", isError);
+}
+
+// Function to add a labelled checkbox to one of the form rows
+function addCheckbox(containerId, name, value, labelText) {
+  const label = document.createElement("label");
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.name = name;
+  input.value = value;
+  label.appendChild(input);
+  label.append(` ${labelText}`);
+  document.getElementById(containerId).appendChild(label);
+}
+
+// Function to build the choices from the shared definitions
+function renderFormChoices() {
+  for (const device of DEVICE_TYPES) {
+    addCheckbox(
+      "devices",
+      "devices",
+      device,
+      device.charAt(0).toUpperCase() + device.slice(1)
+    );
+  }
+
+  for (const category of SCORE_CATEGORIES) {
+    addCheckbox("categories", "categories", category.id, category.label);
+  }
+
+  for (const cadence of SCHEDULE_CADENCES) {
+    scheduleForm.elements.cadence.add(new Option(cadence.label, cadence.id));
+  }
+
+  // Output options reuse the labels and choices from the options page
+  const outputContainer = document.getElementById("output-options");
+  for (const key of SCHEDULE_OUTPUT_KEYS) {
+    const rule = CONFIG_SCHEMA[key];
+    const label = document.createElement("label");
+
+    if (rule.type === "boolean") {
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.name = key;
+      label.appendChild(input);
+      label.append(` ${rule.label}`);
+    } else if (rule.type === "text") {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.name = key;
+      label.append(`${rule.label} `);
+      label.appendChild(input);
+    } else {
+      const select = document.createElement("select");
+      select.name = key;
+      for (const option of rule.options) {
+        select.add(new Option(option.label, option.value));
+      }
+      label.append(`${rule.label} `);
+      label.appendChild(select);
+    }
+
+    outputContainer.appendChild(label);
+  }
+}
+
+// Function to show only the day field that matches the cadence
+function updateDayFields() {
+  const cadence = scheduleForm.elements.cadence.value;
+  document.getElementById("day-of-week-field").hidden = cadence !== "weekly";
+  document.getElementById("day-of-month-field").hidden = cadence !== "monthly";
+}
+
+// Function to load a schedule (or the defaults for a new one) into the form
+async function fillScheduleForm(schedule) {
+  const config = await loadConfig();
+  const plan = await loadCapturePlan();
+  const elements = scheduleForm.elements;
+
+  elements.name.value = schedule ? schedule.name : "";
+  elements.enabled.checked = schedule ? schedule.enabled : true;
+  elements.urls.value = schedule ? schedule.urls.join("\n") : "";
+  elements.cadence.value = schedule ? schedule.cadence : "weekly";
+  elements.dayOfWeek.value = String(schedule ? schedule.dayOfWeek : 1);
+  elements.dayOfMonth.value = String(schedule ? schedule.dayOfMonth : 1);
+  elements.time.value = schedule ? schedule.time : "09:00";
+
+  const devices = schedule ? schedule.devices : plan.devices;
+  const categories = schedule ? schedule.categories : plan.categories;
+  for (const input of scheduleForm.querySelectorAll('input[name="devices"]')) {
+    input.checked = devices.includes(input.value);
+  }
+  for (const input of scheduleForm.querySelectorAll('input[name="categories"]')) {
+    input.checked = categories.includes(input.value);
+  }
+
+  const outputs = { ...config, ...(schedule ? schedule.outputOverrides : {}) };
+  for (const key of SCHEDULE_OUTPUT_KEYS) {
+    if (CONFIG_SCHEMA[key].type === "boolean") {
+      elements[key].checked = Boolean(outputs[key]);
+    } else {
+      elements[key].value = outputs[key];
+    }
+  }
+
+  editingId = schedule ? schedule.id : null;
+  document.getElementById("form-title").textContent = schedule
+    ? `Edit "${schedule.name}"`
+    : "New schedule";
+  cancelEditButton.hidden = !schedule;
+  updateDayFields();
+}
+
+// Function to read the form back into a schedule object
+function readScheduleForm() {
+  const elements = scheduleForm.elements;
+  const checkedValues = (name) =>
+    Array.from(
+      scheduleForm.querySelectorAll(`input[name="${name}"]:checked`),
+      (input) => input.value
+    );
+
+  const outputOverrides = {};
+  for (const key of SCHEDULE_OUTPUT_KEYS) {
+    outputOverrides[key] =
+      CONFIG_SCHEMA[key].type === "boolean"
+        ? elements[key].checked
+        : elements[key].value.trim();
+  }
+
+  return {
+    name: elements.name.value.trim(),
+    enabled: elements.enabled.checked,
+    urls: parseUrlList(elements.urls.value),
+    devices: checkedValues("devices"),
+    categories: checkedValues("categories"),
+    cadence: elements.cadence.value,
+    dayOfWeek: Number(elements.dayOfWeek.value),
+    dayOfMonth: Number(elements.dayOfMonth.value),
+    time: elements.time.value,
+    outputOverrides,
+  };
+}
+
+// Function to describe a schedule's cadence in words
+function describeCadence(schedule) {
+  if (schedule.cadence === "weekly") {
+    const day = scheduleForm.elements.dayOfWeek.querySelector(
+      `option[value="${schedule.dayOfWeek}"]`
+    ).textContent;
+    return `Weekly on ${day} at ${schedule.time}`;
+  }
+  if (schedule.cadence === "monthly") {
+    return `Monthly on day ${schedule.dayOfMonth} at ${schedule.time}`;
+  }
+  return `Daily at ${schedule.time}`;
+}
+
+// Function to format a timestamp for the tables
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : "–";
+}
+
+// Function to fill the schedules table
+async function renderSchedules() {
+  const schedules = await loadSchedules();
+  const tbody = document.querySelector("#schedules tbody");
+  tbody.textContent = "";
+
+  if (schedules.length === 0) {
+    const row = tbody.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 6;
+    cell.className = "empty";
+    cell.textContent = "No schedules yet.";
+    return;
+  }
+
+  for (const schedule of schedules) {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = schedule.name;
+    row.insertCell().textContent = describeCadence(schedule);
+    row.insertCell().textContent = String(schedule.urls.length);
+    row.insertCell().textContent = schedule.enabled
+      ? formatTime(schedule.nextRunAt)
+      : "Disabled";
+
+    const lastCell = row.insertCell();
+    lastCell.textContent = schedule.lastRunAt
+      ? `${formatTime(schedule.lastRunAt)} (${schedule.lastStatus})`
+      : "Never";
+    if (schedule.lastStatus) lastCell.className = `run-${schedule.lastStatus}`;
+
+    const actions = row.insertCell();
+    actions.className = "actions";
+    for (const [text, handler] of [
+      ["Edit", () => fillScheduleForm(schedule)],
+      ["Run now", () => runNow(schedule)],
+      ["Delete", () => deleteSchedule(schedule)],
+    ]) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = text;
+      button.addEventListener("click", handler);
+      actions.appendChild(button);
+    }
+  }
+}
+
+// Function to fill the run history table
+async function renderRuns() {
+  const runs = await loadScheduleRuns();
+  const tbody = document.querySelector("#runs tbody");
+  tbody.textContent = "";
+
+  if (runs.length === 0) {
+    const row = tbody.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 4;
+    cell.className = "empty";
+    cell.textContent = "Nothing has run yet.";
+    return;
+  }
+
+  for (const run of runs) {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = formatTime(run.startedAt);
+    row.insertCell().textContent = `${run.scheduleName}${run.manual ? " (manual)" : ""}`;
+
+    const resultCell = row.insertCell();
+    const doneCount = run.items.filter((item) => item.status === "done").length;
+    resultCell.textContent = run.items.length
+      ? `${run.status}: ${doneCount}/${run.items.length} captured`
+      : run.status;
+    resultCell.className = `run-${run.status}`;
+
+    const failures = run.items
+      .filter((item) => item.error)
+      .map((item) => `${item.url}: ${item.error}`);
+    if (run.error) failures.unshift(run.error);
+    row.insertCell().textContent = failures.join("\n");
+  }
+}
+
+// Function to read the capture source the schedules run with
+async function refreshCaptureSource() {
+  captureSource = (await loadConfig()).CAPTURE_SOURCE;
+}
+
+// Function to start a schedule immediately without changing its cadence
+async function runNow(schedule) {
+  await chrome.runtime.sendMessage({
+    action: "runScheduleNow",
+    scheduleId: schedule.id,
+  });
+  showStatus(
+    `▶️ "${schedule.name}" started${
+      captureSource === "api" ? "." : " - a capture window will open."
+    }`
+  );
+}
+
+// Function to remove a schedule after confirmation
+async function deleteSchedule(schedule) {
+  if (!confirm(`Delete the schedule "${schedule.name}"?`)) {
+    return;
+  }
+
+  const schedules = await loadSchedules();
+  await saveSchedules(schedules.filter((candidate) => candidate.id !== schedule.id));
+  if (editingId === schedule.id) {
+    await fillScheduleForm(null);
+  }
+  showStatus(`🗑️ Deleted "${schedule.name}".`);
+}
+
+scheduleForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+
+  const candidate = readScheduleForm();
+  if (candidate.urls.invalid.length > 0) {
+    showStatus(`❌ Not valid URLs: ${candidate.urls.invalid.join(", ")}`, true);
+    return;
+  }
+  candidate.urls = candidate.urls.urls;
+
+  const errors = validateSchedule(candidate);
+  if (errors.length > 0) {
+    showStatus(`❌ ${errors.join(". ")}.`, true);
+    return;
+  }
+
+  // Scheduled runs capture a window nobody clicked on, which needs access to all sites
+  // (asked before anything else is awaited, while the click still counts as a gesture)
+  const granted =
+    captureSource === "api" ||
+    (await chrome.permissions.request({ origins: ["<all_urls>"] }));
+  if (!granted) {
+    showStatus("❌ Scheduled captures need permission to capture their window.", true);
+    return;
+  }
+
+  const schedules = await loadSchedules();
+  const existing = schedules.find((schedule) => schedule.id === editingId);
+  const schedule = {
+    ...(existing || { id: crypto.randomUUID(), lastRunAt: null, lastStatus: null }),
+    ...candidate,
+  };
+  schedule.nextRunAt = computeNextRunAt(schedule);
+
+  if (existing) {
+    schedules[schedules.indexOf(existing)] = schedule;
+  } else {
+    schedules.push(schedule);
+  }
+
+  // The background worker re-arms its alarms when the schedules change
+  await saveSchedules(schedules);
+  await fillScheduleForm(null);
+  showStatus(
+    `✅ Saved "${schedule.name}". ${
+      schedule.enabled ? `Next run: ${formatTime(schedule.nextRunAt)}.` : "It is disabled."
+    }`
+  );
+});
+
+scheduleForm.elements.cadence.addEventListener("change", updateDayFields);
+
+cancelEditButton.addEventListener("click", () => {
+  fillScheduleForm(null);
+});
+
+// Keep the tables current while runs happen in the background
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "sync" && changes[SETTINGS_STORAGE_KEY]) refreshCaptureSource();
+  if (areaName !== "local") return;
+  if (changes[SCHEDULES_STORAGE_KEY]) renderSchedules();
+  if (changes[SCHEDULE_RUNS_STORAGE_KEY]) renderRuns();
+});
+
+renderFormChoices();
+refreshCaptureSource();
+fillScheduleForm(null);
+renderSchedules();
+renderRuns();
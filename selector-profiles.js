@@ -0,0 +1,159 @@
+// Selector profiles for PageSpeed Insights Screenshot Extension
+// Every CSS selector used to read a PageSpeed Insights report lives here, grouped
+// into one profile per PSI layout generation. The content script detects which
+// profile matches the page; the background script passes that profile's selectors
+// to the functions it injects. When PSI changes its markup, update the profile (or
+// add a new one at the top) instead of the capture code.
+// Loaded by the background service worker (importScripts) and as a content script.
+// The lists are kept on globalThis so injecting the file into a page that already
+// has it (see sendReportWatcherMessage) does not fail on a redeclaration.
+
+// "{device}" in a selector stands for "mobile" or "desktop"
+// Newest layout first - the first profile whose "detect" selector matches is used,
+// and the first one is assumed when none matches (e.g. while the report loads)
+globalThis.SELECTOR_PROFILES = [
+  {
+    id: "psi-web-dev-v1",
+    label: "pagespeed.web.dev - mobile/desktop tab panels",
+    // Present only on pages of this layout
+    detect: '[role="tabpanel"][aria-labelledby*="mobile" i], [role="tabpanel"][aria-labelledby*="desktop" i]',
+    selectors: {
+      // Where the tested URL is shown, tried in this order (not Lighthouse's generic
+      // .lh-text__url - audit tables use it for every resource the page loaded)
+      testedUrl: [".Toa1ad", ".lh-header__url"],
+      // Where the device's Lighthouse report links the page it ended up on after
+      // redirects (looked up inside the device panel)
+      finalUrl: [".lh-topbar__url"],
+      deviceTab: 'button[id*="{device}"], [id*="{device}_tab"]',
+      panel: '[role="tabpanel"]',
+      devicePanel: '[role="tabpanel"][aria-labelledby*="{device}" i]',
+      activePanel: '[role="tabpanel"][data-tab-panel-active="true"]',
+      scoresHeader: '.lh-scores-header, div[class*="lh-scores-header"]',
+      scoresContainer: '.lh-scores-container, div[class*="lh-scores-container"]',
+      gauge: '.lh-gauge, div[class*="lh-gauge"]',
+      gaugeWrapper:
+        "a.lh-gauge__wrapper, .lh-gauge__wrapper, a.lh-fraction__wrapper, .lh-fraction__wrapper, .lh-gauge--pwa__wrapper",
+      gaugeLabel: '.lh-gauge__label, div[class*="gauge__label"], .lh-fraction__label',
+      gaugePercentage: ".lh-gauge__percentage, .lh-fraction__content",
+      gaugeArc: ".lh-gauge-arc",
+      metricsContainer: '.lh-metrics-container, div[class*="lh-metrics-container"]',
+      metric: ".lh-metric",
+      metricTitle: ".lh-metric__title",
+      metricValue: ".lh-metric__value",
+      metricPass: ".lh-metric--pass",
+      metricAverage: ".lh-metric--average",
+      metricFail: ".lh-metric--fail",
+      runtimeError: ".lh-runtime-error",
+      // PSI's own error box, shown instead of the report when the analysis fails
+      errorContainer: '[role="alert"]',
+    },
+  },
+  {
+    id: "psi-legacy",
+    label: "PageSpeed Insights before tab panels - device reports hidden with display: none",
+    // The test-id'd scores container only exists in this layout
+    detect: 'div[data-testid="scores-container"]',
+    selectors: {
+      testedUrl: ['[data-testid="url-display"]', ".url-display", ".lh-header-url"],
+      finalUrl: [".lh-topbar__url"],
+      deviceTab: 'button[aria-label*="{device}" i], [id*="{device}"][aria-selected]',
+      panel: "div[aria-labelledby]",
+      devicePanel: 'div[aria-labelledby*="{device}" i]',
+      // The device report not switched off with an inline display: none
+      activePanel: 'div[aria-labelledby]:not([style*="display: none"])',
+      scoresHeader: 'div[data-testid="scores-container"]',
+      scoresContainer: ".lh-scores-container",
+      gauge: 'div[data-testid*="gauge"], svg[class*="gauge"], circle[class*="gauge"]',
+      gaugeWrapper: "a.lh-gauge__wrapper, .lh-gauge__wrapper",
+      gaugeLabel: ".lh-gauge__label",
+      gaugePercentage: '[data-testid="lh-gauge__percentage"], .lh-gauge__percentage',
+      gaugeArc: ".lh-gauge-arc",
+      metricsContainer: ".lh-metrics-container",
+      metric: ".lh-metric",
+      metricTitle: ".lh-metric__title",
+      metricValue: ".lh-metric__value",
+      metricPass: ".lh-metric--pass",
+      metricAverage: ".lh-metric--average",
+      metricFail: ".lh-metric--fail",
+      runtimeError: ".lh-runtime-error",
+      errorContainer: '[role="alert"]',
+    },
+  },
+];
+
+// What the self-check looks for on a device report, and where: "page" (the whole
+// document), "panel" (the device's panel) or "scores" (the panel's scores header)
+// Optional selectors only feed extras (lab metrics, the tested URL for file names)
+globalThis.SELECTOR_CHECKS = [
+  { key: "deviceTab", scope: "page", label: "device tab button" },
+  { key: "devicePanel", scope: "page", label: "device panel" },
+  { key: "activePanel", scope: "page", label: "active panel" },
+  { key: "scoresHeader", scope: "panel", label: "scores header" },
+  { key: "gauge", scope: "scores", label: "score gauges" },
+  { key: "gaugeWrapper", scope: "scores", label: "gauge wrappers" },
+  { key: "gaugeLabel", scope: "scores", label: "gauge labels" },
+  { key: "gaugePercentage", scope: "scores", label: "gauge scores" },
+  { key: "metricsContainer", scope: "panel", label: "lab metrics", optional: true },
+  { key: "testedUrl", scope: "page", label: "tested URL", optional: true },
+  { key: "finalUrl", scope: "panel", label: "final URL", optional: true },
+];
+
+// Function to get a profile by id, falling back to the newest one
+function getSelectorProfile(profileId) {
+  return (
+    SELECTOR_PROFILES.find((profile) => profile.id === profileId) || SELECTOR_PROFILES[0]
+  );
+}
+
+// Function to fill in the device of a "{device}" selector
+function fillDeviceSelector(selector, deviceType) {
+  return selector.replace(/\{device\}/g, deviceType);
+}
+
+// Function to pick the profile matching the page's markup (page contexts only)
+function detectSelectorProfile() {
+  const profile = SELECTOR_PROFILES.find((candidate) =>
+    document.querySelector(candidate.detect)
+  );
+  return { profile: profile || SELECTOR_PROFILES[0], detected: Boolean(profile) };
+}
+
+// Function to check every selector of a profile against a device report (page
+// contexts only). Returns each check with the selector it ran and whether it matched;
+// failures lists the required ones that matched nothing.
+function runSelectorSelfCheck(profile, deviceType) {
+  const selectors = profile.selectors;
+  const selectorText = (key) => {
+    const selector = selectors[key];
+    return fillDeviceSelector(Array.isArray(selector) ? selector.join(", ") : selector, deviceType);
+  };
+
+  const panel = document.querySelector(selectorText("devicePanel"));
+  const scores = panel && panel.querySelector(selectorText("scoresHeader"));
+  const scopes = { page: document, panel, scores };
+
+  const checks = SELECTOR_CHECKS.map((check) => {
+    const scope = scopes[check.scope];
+    const selector = selectorText(check.key);
+    return {
+      ...check,
+      selector,
+      // A check whose scope is missing fails with the scope's selector, not its own
+      found: Boolean(scope && scope.querySelector(selector)),
+      skipped: !scope,
+    };
+  });
+
+  return {
+    profileId: profile.id,
+    checks,
+    failures: checks.filter((check) => !check.found && !check.skipped && !check.optional),
+  };
+}
+
+// Function to describe failed self-check entries in one line for logs and notifications
+function describeSelectorFailures(profileId, failures) {
+  return `Selector check failed (profile ${profileId}): ${failures
+    .map((failure) => `${failure.label} not found - ${failure.key}: ${failure.selector}`)
+    .join("; ")}`;
+}
@@ -0,0 +1,766 @@
+// Shared settings for PageSpeed Insights Screenshot Extension
+// Loaded by the background service worker (importScripts) and the options page
+
+// ========== DEFAULT CONFIGURATION ==========
+// Default timing, viewport and cropping values - users override these on the options page
+const DEFAULT_CONFIG = {
+  // Debug mode - set to true to enable verbose logging
+  DEBUG_MODE: true,
+
+  // Capture source: the PageSpeed Insights page, or the PageSpeed Insights API
+  CAPTURE_SOURCE: "page",
+  PSI_API_ENDPOINT: "https://www.googleapis.com/pagespeedonline/v5/runPagespeed",
+  PSI_API_KEY: "",
+  PSI_API_TIMEOUT_MS: 120000,
+
+  // Viewport settings
+  VIEWPORT_WIDTH: 1200,
+  VIEWPORT_HEIGHT: 800,
+  VIEWPORT_WAIT_MS: 500,
+
+  // Report readiness (the content script reports when a device panel has settled)
+  REPORT_SETTLE_TIMEOUT_MS: 15000,
+  REPORT_SETTLE_QUIET_MS: 300,
+
+  // Screenshot retry settings
+  SCREENSHOT_RETRY_WAIT_MS: 3000,
+  MIN_SCREENSHOT_SIZE_BYTES: 1000,
+
+  // UI feedback
+  NOTIFICATION_DURATION_MS: 4000,
+  BUTTON_STATE_CHECK_DELAY_MS: 100,
+
+  // Cropping settings
+  TIGHT_PADDING_PX: 5,
+  FALLBACK_PADDING_PX: 10,
+  CROP_MODE: "combined",
+  SQUARE_CATEGORY_TILES: true,
+
+  // Image output (format, pixel density and size of saved images)
+  IMAGE_FORMAT: "png",
+  IMAGE_QUALITY: 90,
+  IMAGE_SCALE: "dpr",
+  IMAGE_MAX_WIDTH: 0,
+  IMAGE_MAX_HEIGHT: 0,
+
+  // Composite image (mobile + desktop in one file)
+  COMPOSITE_MODE: "off",
+  COMPOSITE_LAYOUT: "side-by-side",
+  COMPOSITE_SHOW_LABELS: true,
+  COMPOSITE_SPACING_PX: 24,
+  COMPOSITE_BACKGROUND: "#ffffff",
+
+  // Full report capture (scroll and stitch the whole device panel)
+  FULL_REPORT_CAPTURE: false,
+  FULL_REPORT_MAX_HEIGHT_PX: 16000,
+  FULL_REPORT_SCROLL_WAIT_MS: 600,
+
+  // Batch mode
+  BATCH_REPORT_TIMEOUT_MS: 180000,
+
+  // Regression alerts (drop in points against the previous capture that triggers an alert)
+  REGRESSION_ALERTS: true,
+  REGRESSION_THRESHOLD_PERFORMANCE: 5,
+  REGRESSION_THRESHOLD_ACCESSIBILITY: 5,
+  REGRESSION_THRESHOLD_BEST_PRACTICES: 5,
+  REGRESSION_THRESHOLD_SEO: 5,
+  REGRESSION_THRESHOLD_PWA: 5,
+
+  // Client PDF report
+  PDF_REPORT: false,
+  PDF_REPORT_TITLE: "Website Performance Report",
+
+  // File names ({tokens} are listed in FILENAME_TOKENS)
+  FILENAME_TEMPLATE: "pagespeed-{type}-{domain}-{device}-{category}-{timestamp}",
+  FOLDER_TEMPLATE: "",
+  CLIENT_NAME: "",
+
+  // Branding overlay (profiles are edited on the branding page)
+  BRANDING_PROFILE: "",
+
+  // Data output
+  BUNDLE_ZIP: false,
+  SAVE_HISTORY: true,
+  WRITE_JSON_SIDECAR: true,
+  CAPTURE_LAB_METRICS: true,
+  CAPTURE_METRICS_IMAGE: false,
+};
+
+// Formats images can be saved in
+const IMAGE_FORMATS = [
+  { value: "png", label: "PNG (lossless)", mimeType: "image/png", extension: "png" },
+  { value: "jpeg", label: "JPEG", mimeType: "image/jpeg", extension: "jpg" },
+  { value: "webp", label: "WebP", mimeType: "image/webp", extension: "webp" },
+];
+
+// Options page metadata and validation rules for every setting
+const CONFIG_SCHEMA = {
+  DEBUG_MODE: {
+    type: "boolean",
+    group: "General",
+    label: "Debug mode",
+    description: "Enable verbose logging in the background console",
+  },
+  CAPTURE_SOURCE: {
+    type: "select",
+    group: "Capture source",
+    label: "Capture from",
+    description: "The API mode runs Lighthouse through the PageSpeed Insights API and draws the gauges itself",
+    options: [
+      { value: "page", label: "PageSpeed Insights page" },
+      { value: "api", label: "PageSpeed Insights API (v5)" },
+    ],
+  },
+  PSI_API_ENDPOINT: {
+    type: "text",
+    group: "Capture source",
+    label: "API endpoint",
+    description: "runPagespeed URL - point it at a mock server to replay recorded responses",
+    format: "url",
+    required: true,
+  },
+  PSI_API_KEY: {
+    type: "text",
+    group: "Capture source",
+    label: "API key",
+    description: "Google Cloud API key with the PageSpeed Insights API enabled",
+    secret: true,
+  },
+  PSI_API_TIMEOUT_MS: {
+    type: "number",
+    group: "Capture source",
+    label: "API request timeout (ms)",
+    min: 10000,
+    max: 600000,
+  },
+  VIEWPORT_WIDTH: {
+    type: "number",
+    group: "Viewport",
+    label: "Viewport width (px)",
+    min: 320,
+    max: 3840,
+  },
+  VIEWPORT_HEIGHT: {
+    type: "number",
+    group: "Viewport",
+    label: "Viewport height (px)",
+    min: 240,
+    max: 2160,
+  },
+  VIEWPORT_WAIT_MS: {
+    type: "number",
+    group: "Viewport",
+    label: "Wait after scrolling (ms)",
+    description: "Lets the page repaint before the scrolled-to metrics grid is captured",
+    min: 0,
+    max: 10000,
+  },
+  REPORT_SETTLE_TIMEOUT_MS: {
+    type: "number",
+    group: "Report readiness",
+    label: "Settle timeout (ms)",
+    description:
+      "How long to wait for a device report to render and its gauges to stop animating before capturing anyway",
+    min: 1000,
+    max: 120000,
+  },
+  REPORT_SETTLE_QUIET_MS: {
+    type: "number",
+    group: "Report readiness",
+    label: "Quiet period (ms)",
+    description: "How long the gauges must stay unchanged to count as settled",
+    min: 0,
+    max: 5000,
+  },
+  SCREENSHOT_RETRY_WAIT_MS: {
+    type: "number",
+    group: "Screenshot retry",
+    label: "Wait before retrying a screenshot (ms)",
+    min: 0,
+    max: 30000,
+  },
+  MIN_SCREENSHOT_SIZE_BYTES: {
+    type: "number",
+    group: "Screenshot retry",
+    label: "Minimum screenshot size (bytes)",
+    min: 0,
+    max: 1000000,
+  },
+  NOTIFICATION_DURATION_MS: {
+    type: "number",
+    group: "UI feedback",
+    label: "Notification duration (ms)",
+    min: 500,
+    max: 60000,
+  },
+  BUTTON_STATE_CHECK_DELAY_MS: {
+    type: "number",
+    group: "UI feedback",
+    label: "Tab button state check delay (ms)",
+    min: 0,
+    max: 5000,
+  },
+  TIGHT_PADDING_PX: {
+    type: "number",
+    group: "Cropping",
+    label: "Padding around gauges (px)",
+    min: 0,
+    max: 200,
+  },
+  FALLBACK_PADDING_PX: {
+    type: "number",
+    group: "Cropping",
+    label: "Padding around fallback container (px)",
+    min: 0,
+    max: 200,
+  },
+  CROP_MODE: {
+    type: "select",
+    group: "Cropping",
+    label: "Crop mode",
+    options: [
+      { value: "combined", label: "One strip with all gauges" },
+      { value: "per-category", label: "One image per category gauge" },
+      { value: "both", label: "Strip and per-category images" },
+    ],
+  },
+  SQUARE_CATEGORY_TILES: {
+    type: "boolean",
+    group: "Cropping",
+    label: "Square category tiles",
+    description: "Pad per-category gauge crops to a square",
+  },
+  IMAGE_FORMAT: {
+    type: "select",
+    group: "Image output",
+    label: "Image format",
+    description: "JPEG and WebP files are much smaller - good for email and slide decks",
+    options: IMAGE_FORMATS.map((format) => ({ value: format.value, label: format.label })),
+  },
+  IMAGE_QUALITY: {
+    type: "number",
+    group: "Image output",
+    label: "JPEG/WebP quality",
+    min: 1,
+    max: 100,
+  },
+  IMAGE_SCALE: {
+    type: "select",
+    group: "Image output",
+    label: "Image scale",
+    description: "Pixel density of saved images - 1x halves the size of a 2x display's captures",
+    options: [
+      { value: "dpr", label: "Match the display (device pixel ratio)" },
+      { value: "1", label: "1x" },
+      { value: "2", label: "2x" },
+    ],
+  },
+  IMAGE_MAX_WIDTH: {
+    type: "number",
+    group: "Image output",
+    label: "Maximum width (px)",
+    description: "Larger images are scaled down to fit - 0 for no limit",
+    min: 0,
+    max: 10000,
+  },
+  IMAGE_MAX_HEIGHT: {
+    type: "number",
+    group: "Image output",
+    label: "Maximum height (px)",
+    description: "Larger images are scaled down to fit - 0 for no limit",
+    min: 0,
+    max: 40000,
+  },
+  COMPOSITE_MODE: {
+    type: "select",
+    group: "Composite image",
+    label: "Mobile + desktop composite",
+    options: [
+      { value: "off", label: "Off" },
+      { value: "alongside", label: "Save alongside the individual images" },
+      { value: "instead", label: "Save instead of the individual strips" },
+    ],
+  },
+  COMPOSITE_LAYOUT: {
+    type: "select",
+    group: "Composite image",
+    label: "Layout",
+    options: [
+      { value: "side-by-side", label: "Side by side" },
+      { value: "stacked", label: "Stacked" },
+    ],
+  },
+  COMPOSITE_SHOW_LABELS: {
+    type: "boolean",
+    group: "Composite image",
+    label: "Device captions",
+    description: 'Show "Mobile" / "Desktop" above each half',
+  },
+  COMPOSITE_SPACING_PX: {
+    type: "number",
+    group: "Composite image",
+    label: "Spacing (px)",
+    min: 0,
+    max: 200,
+  },
+  COMPOSITE_BACKGROUND: {
+    type: "color",
+    group: "Composite image",
+    label: "Background colour",
+  },
+  FULL_REPORT_CAPTURE: {
+    type: "boolean",
+    group: "Full report capture",
+    label: "Capture the full report",
+    description: "Scroll through each device report and stitch it into one tall image",
+  },
+  FULL_REPORT_MAX_HEIGHT_PX: {
+    type: "number",
+    group: "Full report capture",
+    label: "Maximum report height (px)",
+    min: 1000,
+    max: 32000,
+  },
+  FULL_REPORT_SCROLL_WAIT_MS: {
+    type: "number",
+    group: "Full report capture",
+    label: "Wait after each scroll (ms)",
+    description: "Chrome allows at most two screenshots per second, so keep this at 500 or more",
+    min: 500,
+    max: 10000,
+  },
+  BATCH_REPORT_TIMEOUT_MS: {
+    type: "number",
+    group: "Batch mode",
+    label: "Report timeout per URL (ms)",
+    description: "How long to wait for PageSpeed Insights to finish both device reports",
+    min: 30000,
+    max: 600000,
+  },
+  REGRESSION_ALERTS: {
+    type: "boolean",
+    group: "Regression alerts",
+    label: "Alert on score drops",
+    description: "Compare each capture with the previous one of the same page and device",
+  },
+  REGRESSION_THRESHOLD_PERFORMANCE: {
+    type: "number",
+    group: "Regression alerts",
+    label: "Performance drop (points)",
+    min: 1,
+    max: 100,
+  },
+  REGRESSION_THRESHOLD_ACCESSIBILITY: {
+    type: "number",
+    group: "Regression alerts",
+    label: "Accessibility drop (points)",
+    min: 1,
+    max: 100,
+  },
+  REGRESSION_THRESHOLD_BEST_PRACTICES: {
+    type: "number",
+    group: "Regression alerts",
+    label: "Best Practices drop (points)",
+    min: 1,
+    max: 100,
+  },
+  REGRESSION_THRESHOLD_SEO: {
+    type: "number",
+    group: "Regression alerts",
+    label: "SEO drop (points)",
+    min: 1,
+    max: 100,
+  },
+  REGRESSION_THRESHOLD_PWA: {
+    type: "number",
+    group: "Regression alerts",
+    label: "PWA drop (points)",
+    min: 1,
+    max: 100,
+  },
+  PDF_REPORT: {
+    type: "boolean",
+    group: "PDF report",
+    label: "Generate a PDF report",
+    description: "Cover page plus one section per URL with the gauges, scores and lab metrics",
+  },
+  PDF_REPORT_TITLE: {
+    type: "text",
+    group: "PDF report",
+    label: "Report title",
+    required: true,
+  },
+  FILENAME_TEMPLATE: {
+    type: "text",
+    group: "File names",
+    label: "Filename template",
+    description: "Tokens: {domain} {host} {path} {device} {performance} {date} {time} {timestamp} {client} {index} {type} {category}",
+    format: "template",
+    required: true,
+  },
+  FOLDER_TEMPLATE: {
+    type: "text",
+    group: "File names",
+    label: "Folder template",
+    description: "Subfolder of the downloads folder, e.g. pagespeed/{client}/{date}/ - empty saves at the top level",
+    format: "template",
+  },
+  CLIENT_NAME: {
+    type: "text",
+    group: "File names",
+    label: "Client name",
+    description: "Value of the {client} token",
+  },
+  BRANDING_PROFILE: {
+    type: "text",
+    group: "Branding",
+    label: "Branding profile",
+    description: "Name of a profile from the Branding page to frame images with - empty saves bare images",
+  },
+  BUNDLE_ZIP: {
+    type: "boolean",
+    group: "Data output",
+    label: "Bundle each run into one ZIP",
+    description: "Images, sidecars, a scores.csv and a manifest.json in a single download",
+  },
+  SAVE_HISTORY: {
+    type: "boolean",
+    group: "Data output",
+    label: "Keep capture history",
+    description: "Store scores and a thumbnail of every capture for the history page",
+  },
+  WRITE_JSON_SIDECAR: {
+    type: "boolean",
+    group: "Data output",
+    label: "Save scores as JSON",
+    description: "Download a .json file with the category scores next to each image",
+  },
+  CAPTURE_LAB_METRICS: {
+    type: "boolean",
+    group: "Data output",
+    label: "Read lab metrics",
+    description: "Include FCP, LCP, TBT, CLS and Speed Index with their ratings in the JSON",
+  },
+  CAPTURE_METRICS_IMAGE: {
+    type: "boolean",
+    group: "Data output",
+    label: "Save metrics grid image",
+    description: "Also crop the lab metrics grid into its own image",
+  },
+};
+
+// chrome.storage.sync key holding the user's overrides
+const SETTINGS_STORAGE_KEY = "config";
+
+// Identifies exported settings files so imports can be checked
+const SETTINGS_EXPORT_FORMAT = "pagespeed-screenshot-settings";
+const SETTINGS_EXPORT_VERSION = 1;
+
+// chrome.storage.local key holding the optional PDF report logo
+// (a data URL - too big for chrome.storage.sync)
+const PDF_LOGO_STORAGE_KEY = "pdfReportLogo";
+
+// Tokens the filename and folder templates understand (values come from filenames.js)
+const FILENAME_TOKENS = [
+  "domain",
+  "host",
+  "path",
+  "device",
+  "performance",
+  "date",
+  "time",
+  "timestamp",
+  "client",
+  "index",
+  "type",
+  "category",
+];
+
+// Function to look up the chosen image format (mimeType and file extension)
+function getImageFormat(config) {
+  return (
+    IMAGE_FORMATS.find((format) => format.value === config.IMAGE_FORMAT) || IMAGE_FORMATS[0]
+  );
+}
+
+// Function to validate a single setting value against its schema entry
+function validateSettingValue(key, value) {
+  const rule = CONFIG_SCHEMA[key];
+  if (!rule) {
+    return { valid: false, error: `Unknown setting "${key}"` };
+  }
+
+  if (rule.type === "boolean") {
+    if (typeof value !== "boolean") {
+      return { valid: false, error: `${rule.label} must be true or false` };
+    }
+    return { valid: true, value };
+  }
+
+  if (rule.type === "number") {
+    if (typeof value === "string" && value.trim() === "") {
+      return { valid: false, error: `${rule.label} is required` };
+    }
+    const number = typeof value === "string" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      return { valid: false, error: `${rule.label} must be a number` };
+    }
+    if (!Number.isInteger(number)) {
+      return { valid: false, error: `${rule.label} must be a whole number` };
+    }
+    if (number < rule.min || number > rule.max) {
+      return {
+        valid: false,
+        error: `${rule.label} must be between ${rule.min} and ${rule.max}`,
+      };
+    }
+    return { valid: true, value: number };
+  }
+
+  if (rule.type === "text") {
+    if (typeof value !== "string") {
+      return { valid: false, error: `${rule.label} must be text` };
+    }
+    const text = value.trim();
+    if (rule.required && text === "") {
+      return { valid: false, error: `${rule.label} is required` };
+    }
+    if (rule.format === "url" && text !== "") {
+      let url = null;
+      try {
+        url = new URL(text);
+      } catch (error) {
+        // Reported below
+      }
+      if (!url || !["http:", "https:"].includes(url.protocol)) {
+        return { valid: false, error: `${rule.label} must be an http(s) URL` };
+      }
+    }
+    if (rule.format === "template") {
+      const unknown = (text.match(/\{[^}]*\}/g) || []).find(
+        (token) => !FILENAME_TOKENS.includes(token.slice(1, -1))
+      );
+      if (unknown) {
+        return { valid: false, error: `${rule.label} has an unknown token ${unknown}` };
+      }
+      if (text.split("/").some((segment) => segment.trim() === "..")) {
+        return { valid: false, error: `${rule.label} cannot point outside the downloads folder` };
+      }
+    }
+    return { valid: true, value: text };
+  }
+
+  if (rule.type === "color") {
+    if (typeof value !== "string" || !/^#[0-9a-f]{6}$/i.test(value)) {
+      return {
+        valid: false,
+        error: `${rule.label} must be a hex colour like #ffffff`,
+      };
+    }
+    return { valid: true, value: value.toLowerCase() };
+  }
+
+  if (rule.type === "select") {
+    if (!rule.options.some((option) => option.value === value)) {
+      return {
+        valid: false,
+        error: `${rule.label} must be one of: ${rule.options
+          .map((option) => option.value)
+          .join(", ")}`,
+      };
+    }
+    return { valid: true, value };
+  }
+
+  return { valid: false, error: `${rule.label} has an unsupported type` };
+}
+
+// Function to validate a settings object - returns the clean values and any errors
+function validateConfig(candidate) {
+  const config = {};
+  const errors = {};
+  const ignored = [];
+
+  if (!candidate || typeof candidate !== "object" || Array.isArray(candidate)) {
+    return { config, errors: { _root: "Settings must be a JSON object" }, ignored };
+  }
+
+  for (const [key, value] of Object.entries(candidate)) {
+    if (!(key in CONFIG_SCHEMA)) {
+      ignored.push(key);
+      continue;
+    }
+
+    const check = validateSettingValue(key, value);
+    if (check.valid) {
+      config[key] = check.value;
+    } else {
+      errors[key] = check.error;
+    }
+  }
+
+  return { config, errors, ignored };
+}
+
+// Function to read the effective configuration (defaults merged with stored overrides)
+async function loadConfig() {
+  const stored = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+  const overrides = stored[SETTINGS_STORAGE_KEY] || {};
+
+  // Drop anything that no longer validates (e.g. ranges changed between versions)
+  const { config, errors } = validateConfig(overrides);
+  if (Object.keys(errors).length > 0) {
+    console.warn("⚠️ Ignoring invalid stored settings:", errors);
+  }
+
+  return { ...DEFAULT_CONFIG, ...config };
+}
+
+// Function to validate and persist settings - throws with the errors if anything is invalid
+async function saveConfig(candidate) {
+  const { config, errors } = validateConfig(candidate);
+  if (Object.keys(errors).length > 0) {
+    const error = new Error("Some settings are invalid");
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  // Only store values that differ from the defaults so future default changes apply
+  const overrides = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (value !== DEFAULT_CONFIG[key]) {
+      overrides[key] = value;
+    }
+  }
+
+  await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: overrides });
+  return { ...DEFAULT_CONFIG, ...config };
+}
+
+// Function to clear all stored overrides
+async function resetConfig() {
+  await chrome.storage.sync.remove(SETTINGS_STORAGE_KEY);
+  return { ...DEFAULT_CONFIG };
+}
+
+// Function to serialise settings into the export file format
+// Secret values (API keys) stay out of files that get shared
+function exportConfig(config) {
+  const settings = { ...config };
+  for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+    if (rule.secret) delete settings[key];
+  }
+
+  return JSON.stringify(
+    {
+      format: SETTINGS_EXPORT_FORMAT,
+      version: SETTINGS_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings,
+    },
+    null,
+    2
+  );
+}
+
+// Function to parse an exported settings file (or a bare settings object)
+function parseImportedConfig(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return {
+      config: {},
+      errors: { _root: `File is not valid JSON: ${error.message}` },
+      ignored: [],
+    };
+  }
+
+  if (parsed && parsed.format === SETTINGS_EXPORT_FORMAT) {
+    if (parsed.version > SETTINGS_EXPORT_VERSION) {
+      return {
+        config: {},
+        errors: {
+          _root: `Settings file version ${parsed.version} is newer than this extension supports`,
+        },
+        ignored: [],
+      };
+    }
+    parsed = parsed.settings;
+  }
+
+  return validateConfig(parsed);
+}
+
+// ========== CAPTURE PLAN ==========
+// What the popup lets the user choose before each capture
+
+// Device tabs on the PageSpeed Insights report, in capture order
+const DEVICE_TYPES = ["mobile", "desktop"];
+
+// Lighthouse categories shown as gauges in the scores header (ids match the gauge links)
+const SCORE_CATEGORIES = [
+  { id: "performance", label: "Performance" },
+  { id: "accessibility", label: "Accessibility" },
+  { id: "best-practices", label: "Best Practices" },
+  { id: "seo", label: "SEO" },
+  { id: "pwa", label: "PWA" },
+];
+
+// Where captured images go
+const OUTPUT_MODES = [
+  { id: "download", label: "Download" },
+  { id: "clipboard", label: "Clipboard" },
+  { id: "both", label: "Download + clipboard" },
+];
+
+const DEFAULT_CAPTURE_PLAN = {
+  devices: [...DEVICE_TYPES],
+  categories: SCORE_CATEGORIES.map((category) => category.id),
+  outputMode: "download",
+};
+
+// chrome.storage.sync key holding the last plan chosen in the popup
+const CAPTURE_PLAN_STORAGE_KEY = "lastCapturePlan";
+
+// Function to get the setting key holding a category's regression threshold
+function getRegressionThresholdKey(categoryId) {
+  return `REGRESSION_THRESHOLD_${categoryId.toUpperCase().replace(/-/g, "_")}`;
+}
+
+// Function to turn any (possibly partial or stale) plan into a valid one
+function normalizeCapturePlan(plan) {
+  const candidate = plan || {};
+  const categoryIds = SCORE_CATEGORIES.map((category) => category.id);
+  const outputModeIds = OUTPUT_MODES.map((mode) => mode.id);
+
+  // Keep the canonical order regardless of how the plan listed them
+  const devices = Array.isArray(candidate.devices)
+    ? DEVICE_TYPES.filter((device) => candidate.devices.includes(device))
+    : [];
+  const categories = Array.isArray(candidate.categories)
+    ? categoryIds.filter((id) => candidate.categories.includes(id))
+    : [];
+
+  return {
+    devices: devices.length > 0 ? devices : [...DEFAULT_CAPTURE_PLAN.devices],
+    categories:
+      categories.length > 0 ? categories : [...DEFAULT_CAPTURE_PLAN.categories],
+    outputMode: outputModeIds.includes(candidate.outputMode)
+      ? candidate.outputMode
+      : DEFAULT_CAPTURE_PLAN.outputMode,
+  };
+}
+
+// Function to read the last plan chosen in the popup
+async function loadCapturePlan() {
+  const stored = await chrome.storage.sync.get(CAPTURE_PLAN_STORAGE_KEY);
+  return normalizeCapturePlan(stored[CAPTURE_PLAN_STORAGE_KEY]);
+}
+
+// Function to remember the plan for the next time the popup opens
+async function saveCapturePlan(plan) {
+  const normalized = normalizeCapturePlan(plan);
+  await chrome.storage.sync.set({ [CAPTURE_PLAN_STORAGE_KEY]: normalized });
+  return normalized;
+}
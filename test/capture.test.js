@@ -0,0 +1,545 @@
+// End-to-end tests of captureBothScreenshots against saved PageSpeed Insights reports
+// (see test/harness.js for how the page and the chrome.* APIs are stood in for)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadReportPage, startExtension, decodeDataUrl } = require("./harness");
+
+const BOTH_DEVICES = { devices: ["mobile", "desktop"] };
+
+// Tight crop around the four gauges of each fixture panel, with the 5px padding
+const MOBILE_SCORES_RECT = { x: 195, y: 295, width: 526, height: 106 };
+const DESKTOP_SCORES_RECT = { x: 175, y: 315, width: 526, height: 106 };
+
+const TIMESTAMP = "\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}";
+
+// Function to copy a value out of the worker's realm so strict assertions compare
+// it by content only
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Function to load a fixture, start the extension on it and run one capture
+// options.prepare: called with the page's document before the capture starts
+async function capture(t, fixture, plan, options = {}) {
+  const page = loadReportPage(fixture, options);
+  t.after(() => page.close());
+  if (options.prepare) options.prepare(page.window.document);
+  const extension = startExtension(page, options);
+  const results = plain(await extension.run("captureBothScreenshots", extension.tab, plan));
+  return { page, extension, results };
+}
+
+// Function to read what a download saved: a faked image's contents or a JSON file
+function readDownload(download) {
+  if (download.url.startsWith("data:application/json")) {
+    return JSON.parse(decodeURIComponent(download.url.slice(download.url.indexOf(",") + 1)));
+  }
+  return decodeDataUrl(download.url);
+}
+
+// Function to find the download with a filename matching a pattern
+function findDownload(extension, pattern) {
+  const download = extension.calls.downloads.find((candidate) =>
+    pattern.test(candidate.filename)
+  );
+  assert.ok(download, `no download matching ${pattern}`);
+  return download;
+}
+
+test("captures mobile then desktop from a report showing the mobile tab", async (t) => {
+  const { page, extension, results } = await capture(t, "report-mobile.html", BOTH_DEVICES);
+
+  assert.deepEqual(
+    results.map((result) => [result.deviceType, result.error]),
+    [
+      ["mobile", undefined],
+      ["desktop", undefined],
+    ]
+  );
+  assert.deepEqual(results[0].scores, {
+    performance: 87,
+    accessibility: 95,
+    "best-practices": 100,
+    seo: 92,
+  });
+  assert.deepEqual(results[1].scores, {
+    performance: 98,
+    accessibility: 95,
+    "best-practices": 100,
+    seo: 91,
+  });
+
+  // Each crop is the tight box around the gauges of the panel shown at the time
+  assert.deepEqual(extension.cropRects, [MOBILE_SCORES_RECT, DESKTOP_SCORES_RECT]);
+  assert.equal(extension.calls.captures.length, 2);
+
+  assert.deepEqual(
+    extension.calls.downloads.map((download) => download.filename.replace(/\d/g, "0")),
+    [
+      "pagespeed-score-example.com-mobile-0000-00-00T00-00-00.png",
+      "pagespeed-score-example.com-mobile-0000-00-00T00-00-00.json",
+      "pagespeed-score-example.com-desktop-0000-00-00T00-00-00.png",
+      "pagespeed-score-example.com-desktop-0000-00-00T00-00-00.json",
+    ]
+  );
+
+  // The saved image is the crop of that device's screenshot
+  const mobileImage = readDownload(findDownload(extension, /-mobile-.*\.png$/));
+  assert.deepEqual(mobileImage, { crop: MOBILE_SCORES_RECT, scale: null, from: 1 });
+  const desktopImage = readDownload(findDownload(extension, /-desktop-.*\.png$/));
+  assert.deepEqual(desktopImage, { crop: DESKTOP_SCORES_RECT, scale: null, from: 2 });
+
+  const sidecar = readDownload(findDownload(extension, /-mobile-.*\.json$/));
+  assert.equal(sidecar.testedUrl, "https://www.example.com/pricing");
+  assert.equal(sidecar.finalUrl, "https://www.example.com/en/pricing");
+  assert.equal(sidecar.domain, "example.com");
+  assert.equal(sidecar.device, "mobile");
+  assert.equal(sidecar.reportUrl, page.url);
+  assert.match(
+    sidecar.image,
+    new RegExp(`^pagespeed-score-example\\.com-mobile-${TIMESTAMP}\\.png$`)
+  );
+  assert.deepEqual(
+    sidecar.metrics.map((metric) => [metric.id, metric.numericValueMs, metric.rating]),
+    [
+      ["first-contentful-paint", 2100, "average"],
+      ["largest-contentful-paint", 4600, "fail"],
+      ["total-blocking-time", 120, "pass"],
+      ["cumulative-layout-shift", null, "pass"],
+      ["speed-index", 3900, "average"],
+    ]
+  );
+
+  assert.deepEqual(extension.shownNotifications, [
+    "📱💻 Both desktop and mobile screenshots captured!",
+  ]);
+
+  // The capture leaves the last device's tab selected
+  const { document } = page.window;
+  assert.equal(document.getElementById("desktop_tab").getAttribute("aria-selected"), "true");
+  assert.equal(document.getElementById("mobile_panel").hidden, true);
+});
+
+test("switches back to mobile first when the report shows the desktop tab", async (t) => {
+  const { extension, results } = await capture(t, "report-desktop.html", BOTH_DEVICES);
+
+  assert.deepEqual(
+    results.map((result) => result.error),
+    [undefined, undefined]
+  );
+  assert.deepEqual(extension.cropRects, [MOBILE_SCORES_RECT, DESKTOP_SCORES_RECT]);
+  assert.equal(results[0].scores.performance, 87);
+  assert.equal(results[1].scores.performance, 98);
+});
+
+test("captures only the desktop report when the plan asks for it", async (t) => {
+  const { extension, results } = await capture(t, "report-mobile.html", {
+    devices: ["desktop"],
+    categories: ["performance", "seo"],
+  });
+
+  assert.equal(results.length, 1);
+  assert.equal(results[0].deviceType, "desktop");
+  assert.equal(results[0].error, undefined);
+
+  // Only the performance and SEO gauges go into the crop
+  assert.deepEqual(extension.cropRects, [{ x: 175, y: 315, width: 526, height: 106 }]);
+  assert.match(
+    results[0].filename,
+    new RegExp(`^pagespeed-score-example\\.com-desktop-${TIMESTAMP}\\.png$`)
+  );
+  assert.deepEqual(extension.shownNotifications, ["📸 Desktop screenshot captured."]);
+});
+
+test("crops each category gauge into its own square tile", async (t) => {
+  const { extension, results } = await capture(t, "report-mobile.html", {
+    devices: ["mobile"],
+    categories: ["performance", "accessibility"],
+  }, { settings: { CROP_MODE: "per-category", WRITE_JSON_SIDECAR: false } });
+
+  assert.equal(results[0].error, undefined);
+  // Only one tile per selected category - the unused combined strip is never cropped
+  assert.deepEqual(extension.cropRects, [
+    { x: 195, y: 295, width: 106, height: 106 },
+    { x: 335, y: 295, width: 106, height: 106 },
+  ]);
+  assert.deepEqual(
+    extension.calls.downloads.map((download) => download.filename.replace(/\d/g, "0")),
+    [
+      "pagespeed-score-example.com-mobile-performance-0000-00-00T00-00-00.png",
+      "pagespeed-score-example.com-mobile-accessibility-0000-00-00T00-00-00.png",
+    ]
+  );
+});
+
+test("trims a square tile at the page edge instead of shifting it", async (t) => {
+  const { extension, results } = await capture(t, "report-mobile.html", {
+    devices: ["mobile"],
+    categories: ["performance"],
+  }, {
+    settings: { CROP_MODE: "per-category", WRITE_JSON_SIDECAR: false },
+    prepare(document) {
+      document.querySelector("#mobile_panel .lh-gauge").setAttribute("data-test-rect", "0 300 96 96");
+    },
+  });
+
+  assert.equal(results[0].error, undefined);
+  // The padding left of the gauge is cut off, so the gauge keeps its place in the tile
+  assert.deepEqual(extension.cropRects.at(-1), { x: 0, y: 295, width: 101, height: 106 });
+});
+
+test("trims a square tile at the viewport's right and bottom edges", async (t) => {
+  const { extension, results } = await capture(t, "report-mobile.html", {
+    devices: ["mobile"],
+    categories: ["performance"],
+  }, {
+    settings: { CROP_MODE: "per-category", WRITE_JSON_SIDECAR: false },
+    prepare(document) {
+      // jsdom's viewport is 1024 x 768
+      const { innerWidth, innerHeight } = document.defaultView;
+      document
+        .querySelector("#mobile_panel .lh-gauge")
+        .setAttribute("data-test-rect", `${innerWidth - 96} ${innerHeight - 96} 96 96`);
+    },
+  });
+
+  assert.equal(results[0].error, undefined);
+  // The padding past the right and bottom edges is cut off, the tile never leaves the screenshot
+  assert.deepEqual(extension.cropRects.at(-1), { x: 923, y: 667, width: 101, height: 101 });
+});
+
+test("keeps a run's setting overrides when the settings are re-read during it", async (t) => {
+  const page = loadReportPage("report-mobile.html");
+  t.after(() => page.close());
+  const extension = startExtension(page, { settings: { WRITE_JSON_SIDECAR: false } });
+
+  const capturing = extension.run("captureBothScreenshots", extension.tab, {
+    devices: ["mobile"],
+    categories: ["performance"],
+  }, { configOverrides: { CROP_MODE: "per-category" } });
+  // e.g. a keyboard shortcut capture starting while a scheduled run is going
+  await extension.run("refreshConfig");
+  const results = plain(await capturing);
+
+  assert.equal(results[0].error, undefined);
+  assert.deepEqual(
+    extension.calls.downloads.map((download) => download.filename.replace(/\d/g, "0")),
+    ["pagespeed-score-example.com-mobile-performance-0000-00-00T00-00-00.png"]
+  );
+  // The overrides never reach the shared configuration
+  assert.equal(extension.evaluate("CONFIG.CROP_MODE"), "combined");
+});
+
+test("compares a batch capture with an earlier report capture of the same page", async (t) => {
+  const page = loadReportPage("report-mobile.html", {
+    url: "https://pagespeed.web.dev/analysis?url=https%3A%2F%2Fexample.com",
+  });
+  t.after(() => page.close());
+  const extension = startExtension(page, {
+    settings: { SAVE_HISTORY: true, REGRESSION_ALERTS: true, WRITE_JSON_SIDECAR: false },
+  });
+  // jsdom has no IndexedDB - the history store keeps its records in memory here
+  extension.evaluate(`
+    self.testHistory = [];
+    addCapture = async (record) => testHistory.push(record);
+    getLatestCapture = async (url, device) =>
+      testHistory.filter((record) => record.url === url && record.device === device).at(-1);
+  `);
+  const plan = { devices: ["mobile"], categories: ["performance"] };
+
+  // The report shows the tested URL without a trailing slash
+  await extension.run("captureBothScreenshots", extension.tab, plan);
+  page.window.document.querySelector("#mobile_panel .lh-gauge__percentage").textContent = "70";
+  // A batch run of the same page passes the URL as parseUrlList cleaned it
+  await extension.run("captureBothScreenshots", extension.tab, plan, {
+    testedUrl: "https://example.com/",
+  });
+
+  assert.deepEqual(
+    plain(extension.evaluate("testHistory")).map((record) => record.url),
+    ["https://example.com/", "https://example.com/"]
+  );
+  assert.equal(extension.calls.notifications.length, 1);
+  assert.match(extension.calls.notifications[0].message, /Performance: 87 → 70/);
+});
+
+test("names an API capture like a page capture of the same URL", async (t) => {
+  const page = loadReportPage("report-mobile.html");
+  t.after(() => page.close());
+  const extension = startExtension(page, { settings: { CAPTURE_SOURCE: "api" } });
+  // No network and no OffscreenCanvas here - the API answer and the gauges are stood in for
+  extension.evaluate(`
+    fetchLighthouseResult = async () => ({
+      requestedUrl: "https://www.example.com/pricing",
+      categories: { performance: { id: "performance", title: "Performance", score: 0.87 } },
+      audits: {},
+    });
+    renderScoreGauges = () => null;
+    canvasToDataUrl = async () => "data:image/png;base64,AAAA";
+  `);
+
+  const results = plain(
+    await extension.run("captureFromApi", "https://www.example.com/pricing", {
+      devices: ["mobile"],
+      categories: ["performance"],
+    })
+  );
+
+  assert.equal(results[0].error, undefined);
+  assert.match(
+    findDownload(extension, /\.png$/).filename,
+    new RegExp(`^pagespeed-score-example\\.com-mobile-${TIMESTAMP}\\.png$`)
+  );
+  const sidecar = readDownload(findDownload(extension, /score.*\.json$/));
+  assert.equal(sidecar.domain, "example.com");
+  assert.equal(sidecar.testedUrl, "https://www.example.com/pricing");
+});
+
+test("reports a download Chrome refuses instead of counting the file as saved", async (t) => {
+  const page = loadReportPage("report-mobile.html");
+  t.after(() => page.close());
+  const extension = startExtension(page);
+  extension.chrome.downloads.download = async () => {
+    throw new Error("Invalid filename");
+  };
+
+  const results = plain(
+    await extension.run("captureBothScreenshots", extension.tab, { devices: ["mobile"] })
+  );
+
+  assert.match(results[0].error, /Invalid filename/);
+});
+
+test("starts the report watcher in a tab opened before the extension loaded", async (t) => {
+  const { extension, results } = await capture(
+    t,
+    "report-mobile.html",
+    { devices: ["mobile"] },
+    { contentScripts: false }
+  );
+
+  assert.deepEqual(
+    extension.calls.executeScript.filter((call) => call.files).map((call) => call.files),
+    [["selector-profiles.js", "content.js"]]
+  );
+  assert.equal(results[0].error, undefined);
+  assert.deepEqual(extension.cropRects, [MOBILE_SCORES_RECT]);
+});
+
+test("names the missing selector when the report is still loading", async (t) => {
+  const { extension, results } = await capture(t, "report-loading.html", {
+    devices: ["mobile"],
+  });
+
+  assert.equal(results.length, 1);
+  assert.match(
+    results[0].error,
+    /^mobile scores not found\. Selector check failed \(profile psi-web-dev-v1\): scores header not found - scoresHeader: /
+  );
+
+  // Nothing was captured or saved
+  assert.equal(extension.calls.captures.length, 0);
+  assert.equal(extension.calls.downloads.length, 0);
+
+  const [notification] = extension.shownNotifications;
+  assert.match(notification, /^❌ No screenshots captured\. Check console for details\. /);
+  assert.match(notification, /scores header not found/);
+});
+
+test("reports the PageSpeed Insights error instead of capturing", async (t) => {
+  const { extension, results } = await capture(t, "report-error.html", BOTH_DEVICES);
+
+  assert.deepEqual(
+    results.map((result) => result.deviceType),
+    ["mobile", "desktop"]
+  );
+  for (const result of results) {
+    assert.match(
+      result.error,
+      /^PageSpeed Insights error: Lighthouse returned error: FAILED_DOCUMENT_REQUEST\./
+    );
+  }
+  assert.equal(extension.calls.captures.length, 0);
+  assert.equal(extension.calls.downloads.length, 0);
+  assert.deepEqual(extension.shownNotifications, [
+    "❌ No screenshots captured. Check console for details.",
+  ]);
+});
+
+test("captures a report whose audits quote error messages", async (t) => {
+  const { results } = await capture(t, "report-mobile.html", { devices: ["mobile"] }, {
+    // A "Browser errors were logged to the console" audit listing the site's own errors
+    prepare(document) {
+      const audit = document.createElement("div");
+      audit.className = "lh-audit lh-audit--fail";
+      audit.id = "errors-in-console";
+      audit.innerHTML =
+        '<table class="lh-table"><tr><td class="lh-text">An error has occurred: ' +
+        "checkout widget failed to load</td></tr></table>";
+      document.getElementById("mobile_panel").append(audit);
+    },
+  });
+
+  assert.equal(results[0].error, undefined);
+  assert.equal(results[0].scores.performance, 87);
+});
+
+test("reads scores and metrics from a localized report", async (t) => {
+  const { extension, results } = await capture(
+    t,
+    "report-localized.html",
+    { devices: ["mobile"] },
+    {
+      url: "https://pagespeed.web.dev/analysis?hl=de&url=https%3A%2F%2Fwww.beispiel.de%2Fpreise",
+    }
+  );
+
+  assert.equal(results[0].error, undefined);
+  assert.deepEqual(extension.cropRects, [MOBILE_SCORES_RECT]);
+
+  const sidecar = readDownload(findDownload(extension, /\.json$/));
+  assert.equal(sidecar.domain, "beispiel.de");
+  assert.equal(sidecar.testedUrl, "https://www.beispiel.de/preise");
+  // Category ids come from the gauge links, labels stay translated
+  assert.deepEqual(
+    sidecar.categories.map((category) => [category.id, category.label, category.score]),
+    [
+      ["performance", "Leistung", 87],
+      ["accessibility", "Barrierefreiheit", 95],
+      ["best-practices", "Best Practices", 100],
+      ["seo", "SEO", 92],
+    ]
+  );
+  // Decimal commas are read as decimals
+  assert.deepEqual(
+    sidecar.metrics.map((metric) => [metric.title, metric.value, metric.numericValueMs]),
+    [
+      ["Erste Inhalte gezeichnet", 1.2, 1200],
+      ["Größte Inhalte gezeichnet", 2.8, 2800],
+      ["Blockierzeit insgesamt", 120, 120],
+      ["Kumulativer Layout Shift", 0.02, null],
+      ["Geschwindigkeitsindex", 3.4, 3400],
+    ]
+  );
+  assert.match(
+    findDownload(extension, /\.png$/).filename,
+    new RegExp(`^pagespeed-score-beispiel\\.de-mobile-${TIMESTAMP}\\.png$`)
+  );
+});
+
+// PageSpeed Insights links shared reports without the url= parameter
+const SHARED_REPORT_URL =
+  "https://pagespeed.web.dev/analysis/https-www-example-com-pricing/k2v8x1qwe3?form_factor=mobile";
+
+// The default template plus the opt-in {path} token
+const PATH_TEMPLATE = "pagespeed-{type}-{domain}-{path}-{device}-{category}-{timestamp}";
+
+test("reads the tested URL from the report when the report URL has none", async (t) => {
+  const { extension } = await capture(
+    t,
+    "report-mobile.html",
+    { devices: ["mobile"] },
+    { url: SHARED_REPORT_URL, settings: { FILENAME_TEMPLATE: PATH_TEMPLATE } }
+  );
+
+  const sidecar = readDownload(findDownload(extension, /\.json$/));
+  assert.equal(sidecar.testedUrl, "https://www.example.com/pricing");
+  assert.equal(sidecar.finalUrl, "https://www.example.com/en/pricing");
+  assert.match(
+    findDownload(extension, /\.png$/).filename,
+    new RegExp(`^pagespeed-score-example\\.com-pricing-mobile-${TIMESTAMP}\\.png$`)
+  );
+});
+
+test("reads a tested URL shown without https://", async (t) => {
+  const { extension } = await capture(
+    t,
+    "report-mobile.html",
+    { devices: ["mobile"] },
+    {
+      url: SHARED_REPORT_URL,
+      prepare: (document) => {
+        document.querySelector(".Toa1ad").textContent = "shop.example.com/sale/";
+      },
+    }
+  );
+
+  const sidecar = readDownload(findDownload(extension, /\.json$/));
+  assert.equal(sidecar.testedUrl, "https://shop.example.com/sale/");
+  assert.equal(sidecar.domain, "shop.example.com");
+});
+
+test("falls back to the URL the report was redirected to", async (t) => {
+  const { extension } = await capture(
+    t,
+    "report-mobile.html",
+    { devices: ["mobile"] },
+    {
+      url: SHARED_REPORT_URL,
+      settings: { FILENAME_TEMPLATE: PATH_TEMPLATE },
+      prepare: (document) => document.querySelector(".Toa1ad").remove(),
+    }
+  );
+
+  const sidecar = readDownload(findDownload(extension, /\.json$/));
+  assert.equal(sidecar.testedUrl, "https://www.example.com/en/pricing");
+  assert.equal(sidecar.domain, "example.com");
+  assert.match(
+    findDownload(extension, /\.png$/).filename,
+    new RegExp(`^pagespeed-score-example\\.com-en-pricing-mobile-${TIMESTAMP}\\.png$`)
+  );
+});
+
+test("does not take a host from headings, links or text elsewhere on the page", async (t) => {
+  const { extension, results } = await capture(
+    t,
+    "report-mobile.html",
+    { devices: ["mobile"] },
+    {
+      url: SHARED_REPORT_URL,
+      prepare: (document) => {
+        for (const element of document.querySelectorAll(".Toa1ad, .lh-topbar")) {
+          element.remove();
+        }
+        document.body.insertAdjacentHTML(
+          "afterbegin",
+          '<h2>Served from cdn.tracker.io</h2><a href="https://fonts.example.net/">Fonts</a>' +
+            '<div class="lh-audit"><div class="lh-text__url">https://cdn.tracker.io/app.js</div></div>'
+        );
+      },
+    }
+  );
+
+  assert.equal(results[0].error, undefined);
+  const sidecar = readDownload(findDownload(extension, /\.json$/));
+  assert.equal(sidecar.testedUrl, null);
+  assert.equal(sidecar.finalUrl, null);
+  assert.match(
+    findDownload(extension, /\.png$/).filename,
+    new RegExp(`^pagespeed-score-pagespeed-result-mobile-${TIMESTAMP}\\.png$`)
+  );
+});
+
+test("names files after IDN hosts in Unicode with {host}", async (t) => {
+  const { extension } = await capture(
+    t,
+    "report-mobile.html",
+    { devices: ["mobile"] },
+    {
+      url: `https://pagespeed.web.dev/analysis?url=${encodeURIComponent(
+        "https://www.bücher.de/Über-uns/"
+      )}`,
+      settings: { FILENAME_TEMPLATE: "{host}-{path}-{device}" },
+    }
+  );
+
+  assert.deepEqual(
+    extension.calls.downloads.map((download) => download.filename),
+    ["bücher.de-über-uns-mobile.png", "bücher.de-über-uns-mobile.json"]
+  );
+  const sidecar = readDownload(findDownload(extension, /\.json$/));
+  assert.equal(sidecar.testedUrl, "https://www.bücher.de/Über-uns/");
+  // {domain} and the sidecar keep the ASCII form of the host
+  assert.equal(sidecar.domain, "xn--bcher-kva.de");
+});
@@ -0,0 +1,112 @@
+// Tests of the tested-URL parsing and filename tokens in filenames.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { domainToUnicode } = require("node:url");
+const { loadExtensionScripts } = require("./harness");
+
+const filenames = loadExtensionScripts(["filenames.js"]);
+
+// Function to copy a value out of the vm context so strict assertions compare it by
+// content only
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test("parseTestedUrl splits a URL into domain, host and path slug", () => {
+  assert.deepEqual(plain(filenames.parseTestedUrl("https://www.example.com/Blog/My%20Post/")), {
+    url: "https://www.example.com/Blog/My%20Post/",
+    domain: "example.com",
+    host: "example.com",
+    path: "blog-my-post",
+  });
+  assert.deepEqual(plain(filenames.parseTestedUrl(" shop.example.co.uk ")), {
+    url: "https://shop.example.co.uk/",
+    domain: "shop.example.co.uk",
+    host: "shop.example.co.uk",
+    path: "",
+  });
+});
+
+test("parseTestedUrl rejects text that is not a web page URL", () => {
+  for (const value of ["", null, "Captured at Oct 19", "1.2 s", "ftp://example.com/", "localhost"]) {
+    assert.equal(filenames.parseTestedUrl(value), null, String(value));
+  }
+});
+
+test("parseTestedUrl gives IDN hosts in ASCII and Unicode", () => {
+  assert.deepEqual(plain(filenames.parseTestedUrl("https://www.bücher.de/Über-uns")), {
+    url: "https://www.bücher.de/Über-uns",
+    domain: "xn--bcher-kva.de",
+    host: "bücher.de",
+    path: "über-uns",
+  });
+  assert.equal(filenames.parseTestedUrl("https://xn--bcher-kva.de/").host, "bücher.de");
+});
+
+test("toUnicodeHostname decodes punycode like the WHATWG URL rules", () => {
+  for (const host of ["münchen.de", "例え.テスト.jp", "пример.рф", "ésta-ñ.es", "☃.net"]) {
+    const ascii = new URL(`https://${host}/`).hostname;
+    assert.notEqual(ascii, host);
+    assert.equal(filenames.toUnicodeHostname(ascii), domainToUnicode(ascii), ascii);
+  }
+  // Labels that do not decode are left alone
+  assert.equal(filenames.toUnicodeHostname("xn--!!.example.com"), "xn--!!.example.com");
+});
+
+test("slugifyUrlPath shortens deep paths", () => {
+  assert.equal(filenames.slugifyUrlPath("/"), "");
+  assert.equal(filenames.slugifyUrlPath("/a//b/_c_/index.html"), "a-b-c-index-html");
+  assert.equal(filenames.slugifyUrlPath("/%E0%A4%A"), "e0-a4-a");
+  const slug = filenames.slugifyUrlPath(`/${"section/".repeat(20)}`);
+  assert.ok(slug.length <= 60);
+  assert.doesNotMatch(slug, /-$/);
+});
+
+test("getCaptureFilename fills {domain}, {host} and {path} from the tested URL", () => {
+  const config = {
+    FILENAME_TEMPLATE: "{domain}_{host}_{path}_{device}",
+    FOLDER_TEMPLATE: "{host}",
+    CLIENT_NAME: "",
+  };
+  const details = {
+    domain: "xn--mnchen-3ya.de",
+    url: "https://www.münchen.de/rathaus/",
+    device: "mobile",
+    capturedAt: new Date("2026-10-19T10:30:45Z"),
+  };
+
+  assert.equal(
+    filenames.getCaptureFilename(config, details, "png"),
+    "münchen.de/xn--mnchen-3ya.de_münchen.de_rathaus_mobile.png"
+  );
+  // The site root has no path - {path} drops out with its separator
+  assert.equal(
+    filenames.getCaptureFilename(config, { ...details, url: "https://münchen.de/" }, "png"),
+    "münchen.de/xn--mnchen-3ya.de_münchen.de_mobile.png"
+  );
+  // Without a URL, {host} follows the domain
+  assert.equal(
+    filenames.getCaptureFilename(config, { ...details, url: null }, "png"),
+    "münchen.de/xn--mnchen-3ya.de_münchen.de_mobile.png"
+  );
+});
+
+test("getCaptureFilename keeps every token but {host} and {path} to ASCII", () => {
+  const config = {
+    FILENAME_TEMPLATE: "{client} {host}-{path}-{device}",
+    FOLDER_TEMPLATE: "Kunden Ü/{client}",
+    CLIENT_NAME: "Müller & Söhne",
+  };
+  const details = {
+    domain: "xn--bcher-kva.de",
+    url: "https://www.bücher.de/Über-uns",
+    device: "mobile",
+    capturedAt: new Date("2026-10-19T10:30:45Z"),
+  };
+
+  assert.equal(
+    filenames.getCaptureFilename(config, details, "png"),
+    "Kunden/M_ller_S_hne/M_ller_S_hne_bücher.de-über-uns-mobile.png"
+  );
+});
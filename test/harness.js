@@ -0,0 +1,447 @@
+// Offline test harness for PageSpeed Insights Screenshot Extension
+// Loads a saved PageSpeed Insights report (test/fixtures) into jsdom with the content
+// scripts running in it, and the background service worker into a Node vm context
+// with a recording stub of the chrome.* APIs. chrome.scripting runs the injected
+// functions against the jsdom page, so captureBothScreenshots runs end to end.
+// Set TEST_VERBOSE=1 to see the page and worker console output.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const VERBOSE = Boolean(process.env.TEST_VERBOSE);
+
+const EXTENSION_ID = "testextensionid";
+
+// Report URL the fixtures are loaded at unless a test gives its own
+const DEFAULT_REPORT_URL =
+  "https://pagespeed.web.dev/analysis?url=https%3A%2F%2Fwww.example.com%2Fpricing";
+
+// Settings every harness run starts with: short settle waits so the tests run
+// quickly, and no IndexedDB history (jsdom and Node have none)
+const DEFAULT_TEST_SETTINGS = {
+  REPORT_SETTLE_TIMEOUT_MS: 1000,
+  REPORT_SETTLE_QUIET_MS: 50,
+  SCREENSHOT_RETRY_WAIT_MS: 0,
+  SAVE_HISTORY: false,
+  REGRESSION_ALERTS: false,
+};
+
+const quietConsole = {
+  log() {},
+  info() {},
+  warn() {},
+  error() {},
+  debug() {},
+};
+
+// Function to read a file of the extension
+function readExtensionFile(file) {
+  return fs.readFileSync(path.join(ROOT_DIR, file), "utf8");
+}
+
+// Function to encode a value as a base64 data URL, so faked images can carry
+// what they were made from
+function encodeDataUrl(mimeType, value) {
+  return `data:${mimeType};base64,${Buffer.from(JSON.stringify(value)).toString("base64")}`;
+}
+
+// Function to read back what encodeDataUrl stored
+function decodeDataUrl(dataUrl) {
+  return JSON.parse(Buffer.from(dataUrl.slice(dataUrl.indexOf(",") + 1), "base64").toString());
+}
+
+// Function to copy a value the way chrome's message passing does (JSON only)
+function cloneMessage(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Function to make a chrome.* event that remembers its listeners
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: (listener) => listeners.includes(listener),
+  };
+}
+
+// ========== PAGE ==========
+
+// Function to give jsdom the bits of layout the capture code reads
+// Elements get their box from a data-test-rect="x y width height" attribute; anything
+// without one, or inside a [hidden] element, has an empty box like undisplayed content
+function installLayout(window) {
+  const { Element, HTMLElement } = window;
+
+  Element.prototype.getBoundingClientRect = function () {
+    const annotation = this.getAttribute("data-test-rect");
+    const [x, y, width, height] =
+      annotation && !this.closest("[hidden]")
+        ? annotation.trim().split(/\s+/).map(Number)
+        : [0, 0, 0, 0];
+    return { x, y, width, height, left: x, top: y, right: x + width, bottom: y + height };
+  };
+
+  // No animations in jsdom - the gauges count as finished
+  Element.prototype.getAnimations = () => [];
+  Element.prototype.scrollIntoView = () => {};
+  window.scrollTo = () => {};
+  window.resizeTo = () => {};
+
+  if (!("innerText" in HTMLElement.prototype)) {
+    Object.defineProperty(HTMLElement.prototype, "innerText", {
+      get() {
+        return this.textContent;
+      },
+    });
+  }
+}
+
+// Function to switch the device tabs the way PageSpeed Insights does: the clicked tab
+// is selected and only its panel stays shown
+function installTabSwitching(window) {
+  window.document.addEventListener("click", (event) => {
+    const tab = event.target.closest('[role="tab"]');
+    if (!tab) return;
+
+    for (const candidate of window.document.querySelectorAll('[role="tab"]')) {
+      candidate.setAttribute("aria-selected", String(candidate === tab));
+    }
+    for (const panel of window.document.querySelectorAll('[role="tabpanel"]')) {
+      const active = panel.getAttribute("aria-labelledby") === tab.id;
+      panel.setAttribute("data-tab-panel-active", String(active));
+      panel.hidden = !active;
+    }
+  });
+}
+
+// Function to load a fixture as a report tab
+// options.url: the tab's URL (the report URL, with the tested URL as ?url=)
+// options.contentScripts: false to start without the content scripts, as in a tab
+// that was open before the extension loaded
+// Returns { window, url, listeners (the content script's runtime.onMessage), close }
+function loadReportPage(fixture, options = {}) {
+  const url = options.url || DEFAULT_REPORT_URL;
+  const virtualConsole = new VirtualConsole();
+  if (VERBOSE) {
+    virtualConsole.forwardTo(console);
+  }
+
+  const dom = new JSDOM(fs.readFileSync(path.join(FIXTURES_DIR, fixture), "utf8"), {
+    url,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+  installLayout(window);
+  installTabSwitching(window);
+
+  const onMessage = createEvent();
+  window.chrome = { runtime: { id: EXTENSION_ID, onMessage } };
+
+  const page = {
+    window,
+    url,
+    listeners: onMessage.listeners,
+    // Function to run extension files in the page, like a content script
+    injectFiles(files) {
+      for (const file of files) {
+        window.eval(readExtensionFile(file));
+      }
+    },
+    close() {
+      window.close();
+    },
+  };
+
+  // The manifest's content_scripts for pagespeed.web.dev
+  if (options.contentScripts !== false) {
+    page.injectFiles(
+      JSON.parse(readExtensionFile("manifest.json")).content_scripts[0].js
+    );
+  }
+  return page;
+}
+
+// ========== CHROME API STUB ==========
+
+// Function to make an in-memory chrome.storage area
+function createStorageArea(initial = {}) {
+  const items = cloneMessage(initial);
+  return {
+    items,
+    async get(keys) {
+      if (keys == null) return cloneMessage(items);
+      if (typeof keys === "string") keys = [keys];
+      const defaults = Array.isArray(keys) ? {} : keys;
+      const result = {};
+      for (const key of Array.isArray(keys) ? keys : Object.keys(keys)) {
+        if (key in items) result[key] = cloneMessage(items[key]);
+        else if (key in defaults) result[key] = defaults[key];
+      }
+      return result;
+    },
+    async set(values) {
+      Object.assign(items, cloneMessage(values));
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete items[key];
+    },
+    async clear() {
+      for (const key of Object.keys(items)) delete items[key];
+    },
+  };
+}
+
+// Function to make the chrome.* stub the worker runs against
+// Every call that leaves the worker is recorded in the returned calls object
+function createChromeStub(page, tab, settings) {
+  const calls = {
+    executeScript: [],
+    messages: [],
+    captures: [],
+    downloads: [],
+    notifications: [],
+  };
+  let captureCount = 0;
+  let downloadId = 0;
+
+  // Injected functions that draw on a canvas or use the clipboard, neither of which
+  // jsdom has - their calls are recorded and answered here
+  const canvasFunctions = {
+    cropScreenshotInPage: (dataUrl, elementInfo, scale) =>
+      encodeDataUrl("image/png", {
+        crop: elementInfo.rect,
+        scale,
+        from: decodeDataUrl(dataUrl).capture,
+      }),
+    composeDeviceImagesInPage: (images, options) =>
+      encodeDataUrl("image/png", {
+        composite: images.map((image) => image.label),
+        layout: options.layout,
+      }),
+    createThumbnailInPage: (dataUrl) =>
+      encodeDataUrl("image/jpeg", { thumbnail: decodeDataUrl(dataUrl) }),
+    copyImageToClipboard: () => ({ success: true }),
+    beginFullReportStitch: () => true,
+    drawFullReportSegment: () => true,
+    finishFullReportStitch: () => encodeDataUrl("image/png", { stitched: true }),
+  };
+
+  const chrome = {
+    runtime: {
+      id: EXTENSION_ID,
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      getURL: (file) => `chrome-extension://${EXTENSION_ID}/${file}`,
+      getContexts: async () => [],
+      sendMessage: async () => undefined,
+    },
+    storage: {
+      sync: createStorageArea({ config: settings }),
+      local: createStorageArea(),
+      session: createStorageArea(),
+      onChanged: createEvent(),
+    },
+    tabs: {
+      get: async (tabId) => {
+        if (tabId !== tab.id) throw new Error(`No tab with id: ${tabId}.`);
+        return { ...tab };
+      },
+      query: async () => [{ ...tab }],
+      create: async (properties) => ({ ...properties, id: tab.id + 1 }),
+      update: async (tabId, properties) => ({ ...tab, ...properties }),
+      onUpdated: createEvent(),
+      // A stand-in PNG numbered in capture order, padded past the blank check
+      captureVisibleTab: async (windowId, options) => {
+        captureCount += 1;
+        calls.captures.push({ windowId, options });
+        return encodeDataUrl("image/png", { capture: captureCount, padding: "x".repeat(1200) });
+      },
+      // Delivered to the page's content script like chrome's message passing
+      sendMessage: (tabId, message) =>
+        new Promise((resolve, reject) => {
+          calls.messages.push(cloneMessage(message));
+          if (tabId !== tab.id || page.listeners.length === 0) {
+            reject(
+              new Error("Could not establish connection. Receiving end does not exist.")
+            );
+            return;
+          }
+
+          let answered = false;
+          let willAnswer = false;
+          const sendResponse = (response) => {
+            if (answered) return;
+            answered = true;
+            resolve(cloneMessage(response));
+          };
+          for (const listener of [...page.listeners]) {
+            if (listener(cloneMessage(message), { id: EXTENSION_ID }, sendResponse) === true) {
+              willAnswer = true;
+            }
+          }
+          if (!answered && !willAnswer) resolve(undefined);
+        }),
+    },
+    scripting: {
+      executeScript: async ({ target, func, function: legacyFunction, args = [], files }) => {
+        if (target.tabId !== tab.id) throw new Error(`No tab with id: ${target.tabId}.`);
+
+        if (files) {
+          calls.executeScript.push({ files: [...files] });
+          page.injectFiles(files);
+          return [{ frameId: 0, result: null }];
+        }
+
+        const injected = func || legacyFunction;
+        calls.executeScript.push({ name: injected.name, args: cloneMessage(args) });
+        const result = canvasFunctions[injected.name]
+          ? await canvasFunctions[injected.name](...cloneMessage(args))
+          : await page.window.eval(`(${injected.toString()})`)(...cloneMessage(args));
+        return [{ frameId: 0, result: cloneMessage(result) }];
+      },
+    },
+    downloads: {
+      download: async (options) => {
+        downloadId += 1;
+        calls.downloads.push({ ...options, id: downloadId });
+        return downloadId;
+      },
+      onChanged: createEvent(),
+    },
+    notifications: {
+      create: async (notificationId, options) => {
+        calls.notifications.push({ notificationId, ...options });
+        return notificationId;
+      },
+      clear: async () => true,
+      onClicked: createEvent(),
+      onButtonClicked: createEvent(),
+      onClosed: createEvent(),
+    },
+    action: {
+      setBadgeText: async () => {},
+      setBadgeBackgroundColor: async () => {},
+      setTitle: async () => {},
+    },
+    alarms: {
+      create: async () => {},
+      clear: async () => true,
+      clearAll: async () => true,
+      get: async () => undefined,
+      getAll: async () => [],
+      onAlarm: createEvent(),
+    },
+    commands: { getAll: async () => [], onCommand: createEvent() },
+    contextMenus: {
+      create: () => {},
+      removeAll: async () => {},
+      onClicked: createEvent(),
+    },
+    offscreen: { createDocument: async () => {}, closeDocument: async () => {} },
+    permissions: {
+      contains: async () => true,
+      request: async () => true,
+    },
+    windows: {
+      create: async () => ({ id: tab.windowId + 1, tabs: [] }),
+      remove: async () => {},
+    },
+  };
+
+  return { chrome, calls };
+}
+
+// ========== SERVICE WORKER ==========
+
+// Function to start the background service worker against a report page
+// options.settings: stored settings on top of DEFAULT_TEST_SETTINGS
+// Returns { chrome, calls, tab, run(name, ...args), evaluate(expression) }
+function startExtension(page, options = {}) {
+  const tab = { id: 7, windowId: 3, url: page.url, active: true, status: "complete" };
+  const { chrome, calls } = createChromeStub(page, tab, {
+    ...DEFAULT_TEST_SETTINGS,
+    ...options.settings,
+  });
+
+  const context = vm.createContext({
+    chrome,
+    console: VERBOSE ? console : quietConsole,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    queueMicrotask,
+    structuredClone,
+    AbortController,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    Blob,
+    fetch,
+    atob,
+    btoa,
+    crypto,
+  });
+  context.self = context;
+  context.importScripts = (...files) => {
+    for (const file of files) {
+      vm.runInContext(readExtensionFile(file), context, { filename: file });
+    }
+  };
+  vm.runInContext(readExtensionFile("background.js"), context, {
+    filename: "background.js",
+  });
+
+  const evaluate = (expression) => vm.runInContext(expression, context);
+  return {
+    chrome,
+    calls,
+    tab,
+    evaluate,
+    // Function to call a worker function by name, e.g. run("captureBothScreenshots", tab)
+    run: (name, ...args) => evaluate(name)(...args),
+    // Messages the in-page summary notification showed (showNotification)
+    get shownNotifications() {
+      return calls.executeScript
+        .filter((call) => call.name === "showNotification")
+        .map((call) => call.args[0]);
+    },
+    // Rects passed to the faked crop, in call order
+    get cropRects() {
+      return calls.executeScript
+        .filter((call) => call.name === "cropScreenshotInPage")
+        .map((call) => call.args[1].rect);
+    },
+  };
+}
+
+// Function to load extension scripts that need no browser APIs (e.g. filenames.js)
+// into a fresh vm context and return it, for testing their functions directly
+function loadExtensionScripts(files) {
+  const context = vm.createContext({ console: VERBOSE ? console : quietConsole, URL });
+  for (const file of files) {
+    vm.runInContext(readExtensionFile(file), context, { filename: file });
+  }
+  return context;
+}
+
+module.exports = {
+  DEFAULT_REPORT_URL,
+  loadReportPage,
+  startExtension,
+  loadExtensionScripts,
+  decodeDataUrl,
+};
@@ -0,0 +1,56 @@
+// Tests of the Lighthouse result parsing in psi-api.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtensionScripts } = require("./harness");
+
+const psiApi = loadExtensionScripts(["psi-api.js"]);
+
+// Function to copy a value out of the vm context so strict assertions compare it by
+// content only
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test("reads lab metric values from numericValue, not the localized display value", () => {
+  const { metrics } = psiApi.getLabMetricsFromLighthouseResult({
+    audits: {
+      "first-contentful-paint": {
+        title: "Erste Inhalte gezeichnet",
+        displayValue: "1,2 s",
+        numericValue: 1234.5,
+        numericUnit: "millisecond",
+        score: 0.95,
+      },
+      "total-blocking-time": {
+        title: "Blockierzeit insgesamt",
+        displayValue: "1.230 ms",
+        numericValue: 1230,
+        numericUnit: "millisecond",
+        score: 0.2,
+      },
+      "cumulative-layout-shift": {
+        title: "Kumulativer Layout Shift",
+        displayValue: "0,02",
+        numericValue: 0.02,
+        numericUnit: "unitless",
+        score: 1,
+      },
+    },
+  });
+
+  assert.deepEqual(
+    plain(metrics).map((metric) => [
+      metric.id,
+      metric.value,
+      metric.unit,
+      metric.numericValueMs,
+      metric.rating,
+    ]),
+    [
+      ["first-contentful-paint", 1.2345, "s", 1235, "pass"],
+      ["total-blocking-time", 1230, "ms", 1230, "fail"],
+      ["cumulative-layout-shift", 0.02, "", null, "pass"],
+    ]
+  );
+});
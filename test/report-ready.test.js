@@ -0,0 +1,118 @@
+// Tests of waitForReportReady, the wait batch runs and the context menu use for a
+// freshly opened PageSpeed Insights analysis (see test/harness.js)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadReportPage, startExtension } = require("./harness");
+
+// Function to load a fixture and start the extension on it
+function start(t, fixture) {
+  const page = loadReportPage(fixture);
+  t.after(() => page.close());
+  return { page, extension: startExtension(page) };
+}
+
+// Function to read the markup of a device panel of a finished report fixture
+function readFinishedPanel(t, deviceType) {
+  const report = loadReportPage("report-mobile.html", { contentScripts: false });
+  t.after(() => report.close());
+  return report.window.document.getElementById(`${deviceType}_panel`).innerHTML;
+}
+
+test("resolves at once for a finished report", async (t) => {
+  const { extension } = start(t, "report-mobile.html");
+
+  await extension.run("waitForReportReady", extension.tab.id, ["mobile", "desktop"]);
+
+  // Both devices already have scores - no tab is switched
+  assert.equal(
+    extension.calls.executeScript.some((call) => call.name === "switchToDeviceView"),
+    false
+  );
+});
+
+test("waits for the analysis, then opens the device tab PSI has not rendered", async (t) => {
+  const { page, extension } = start(t, "report-loading.html");
+  const { document } = page.window;
+  const mobilePanel = readFinishedPanel(t, "mobile");
+  const desktopPanel = readFinishedPanel(t, "desktop");
+
+  // PSI renders the desktop report only once its tab is opened
+  document.getElementById("desktop_tab").addEventListener("click", () => {
+    setTimeout(() => {
+      document.getElementById("desktop_panel").innerHTML = desktopPanel;
+    }, 20);
+  });
+  setTimeout(() => {
+    document.getElementById("mobile_panel").innerHTML = mobilePanel;
+  }, 100);
+
+  await extension.run("waitForReportReady", extension.tab.id, ["mobile", "desktop"]);
+
+  assert.deepEqual(
+    extension.calls.messages
+      .filter((message) => message.action === "waitForReportState")
+      .map((message) => message.deviceType),
+    [null, "desktop"]
+  );
+  assert.equal(document.getElementById("desktop_tab").getAttribute("aria-selected"), "true");
+});
+
+test("fails with the error PageSpeed Insights shows", async (t) => {
+  const { extension } = start(t, "report-error.html");
+
+  await assert.rejects(
+    extension.run("waitForReportReady", extension.tab.id, ["mobile"]),
+    /PageSpeed Insights error: Lighthouse returned error: FAILED_DOCUMENT_REQUEST/
+  );
+});
+
+test("stops waiting when its signal is aborted", async (t) => {
+  const { extension } = start(t, "report-loading.html");
+  const controller = new AbortController();
+
+  const waiting = extension.run(
+    "waitForReportReady",
+    extension.tab.id,
+    ["mobile"],
+    controller.signal
+  );
+  controller.abort(new Error("Batch cancelled"));
+
+  await assert.rejects(waiting, /Batch cancelled/);
+});
+
+test("stops waiting for an analysis page that never finishes loading", async (t) => {
+  const { extension } = start(t, "report-mobile.html");
+  const controller = new AbortController();
+
+  // The stub tab never reports "complete" after navigating
+  const running = extension.run(
+    "runPageSpeedAndCapture",
+    "https://example.com/",
+    { devices: ["mobile"], categories: ["performance"] },
+    extension.tab.id,
+    { signal: controller.signal }
+  );
+  controller.abort(new Error("Batch cancelled"));
+
+  await assert.rejects(running, /Batch cancelled/);
+  assert.equal(extension.calls.captures.length, 0);
+});
+
+test("times the waits of a batch with the batch's own settings", async (t) => {
+  const { extension } = start(t, "report-mobile.html");
+
+  // The stub tab never reports "complete" after navigating
+  const running = extension.run(
+    "runPageSpeedAndCapture",
+    "https://example.com/",
+    { devices: ["mobile"], categories: ["performance"] },
+    extension.tab.id,
+    { configOverrides: { BATCH_REPORT_TIMEOUT_MS: 1000 } }
+  );
+
+  await assert.rejects(running, /Timed out after 1s waiting for the report/);
+  // The shared settings keep their own timeout
+  assert.notEqual(extension.evaluate("CONFIG.BATCH_REPORT_TIMEOUT_MS"), 1000);
+});
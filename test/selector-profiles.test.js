@@ -0,0 +1,63 @@
+// Tests of the selector profiles (selector-profiles.js): detection of the report
+// layout, the fallback when nothing matches, and a capture with the older layout
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadReportPage, startExtension } = require("./harness");
+
+// Function to load a fixture, closing it when the test ends
+function load(t, fixture) {
+  const page = loadReportPage(fixture);
+  t.after(() => page.close());
+  return page;
+}
+
+// Function to run detectSelectorProfile in the page; returns [profile id, detected]
+function detect(page) {
+  const { profile, detected } = page.window.detectSelectorProfile();
+  return [profile.id, detected];
+}
+
+test("detects the tab panel layout", (t) => {
+  const page = load(t, "report-mobile.html");
+
+  assert.deepEqual(detect(page), ["psi-web-dev-v1", true]);
+});
+
+test("detects the layout before tab panels and passes its self-check", (t) => {
+  const page = load(t, "report-legacy.html");
+
+  assert.deepEqual(detect(page), ["psi-legacy", true]);
+  const { profile } = page.window.detectSelectorProfile();
+  const { failures, checks } = page.window.runSelectorSelfCheck(profile, "mobile");
+  assert.deepEqual(Array.from(failures, (failure) => failure.key), []);
+  assert.equal(checks.find((check) => check.key === "testedUrl").found, true);
+});
+
+test("falls back to the newest profile when no layout matches", (t) => {
+  const page = load(t, "report-mobile.html");
+  // e.g. the page before PSI has drawn any report
+  page.window.document.body.innerHTML = "<main>Analyzing…</main>";
+
+  assert.deepEqual(detect(page), [page.window.SELECTOR_PROFILES[0].id, false]);
+});
+
+test("captures a report in the layout before tab panels", async (t) => {
+  const page = load(t, "report-legacy.html");
+  const extension = startExtension(page, { settings: { WRITE_JSON_SIDECAR: false } });
+
+  const results = JSON.parse(
+    JSON.stringify(
+      await extension.run("captureBothScreenshots", extension.tab, { devices: ["mobile"] })
+    )
+  );
+
+  assert.equal(results[0].error, undefined);
+  assert.deepEqual(results[0].scores, {
+    performance: 87,
+    accessibility: 95,
+    "best-practices": 100,
+    seo: 92,
+  });
+  assert.deepEqual(extension.cropRects, [{ x: 195, y: 295, width: 526, height: 106 }]);
+});
@@ -0,0 +1,42 @@
+// Shared URL helpers for PageSpeed Insights Screenshot Extension
+// Loaded by the batch and schedules pages, and by the background service worker
+// (importScripts)
+
+// Function to bring a page URL into the one form history records are keyed by
+// ("https://example.com" and "https://example.com/" are the same page); text that is
+// not a URL (e.g. the domain standing in for an unknown page) is returned as it is
+function normalizePageUrl(text) {
+  try {
+    return new URL(text).href;
+  } catch (error) {
+    return text;
+  }
+}
+
+// Function to turn pasted text or an uploaded file into a clean URL list
+function parseUrlList(text) {
+  const urls = [];
+  const invalid = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    // CSV files: use the first column; lines starting with # are comments
+    let line = rawLine.split(",")[0].trim().replace(/^"|"$/g, "");
+    if (!line || line.startsWith("#")) continue;
+
+    if (!/^https?:\/\//i.test(line)) {
+      line = `https://${line}`;
+    }
+
+    try {
+      const url = new URL(line);
+      const href = normalizePageUrl(url.href);
+      if (!urls.includes(href)) {
+        urls.push(href);
+      }
+    } catch (error) {
+      invalid.push(rawLine.trim());
+    }
+  }
+
+  return { urls, invalid };
+}